@@ -3,6 +3,7 @@ import throwParseError from '../modules/core/utils/throw_parse_error.js';
 import cloneDefinition from '../modules/core/utils/clone_definition.js';
 import setDefaults from '../modules/fields/utils/set_defaults.js';
 import castNested from '../modules/fields/utils/cast_nested.js';
+import computeFields from '../modules/fields/utils/compute_fields.js';
 import Module from './module.js';
 import Event from '../modules/events/event.js';
 import Type from '../modules/fields/type.js';
@@ -39,7 +40,8 @@ class Class {
   constructor(rawDoc, options = {}) {
     // Set default options.
     _.defaults(options, {
-      defaults: true
+      defaults: true,
+      cast: false
     });
 
     const doc = this;
@@ -57,11 +59,13 @@ class Class {
     // Get all fields and try setting values for each field. If there is not
     // value for a field than use a default value. We also have to cast nested
     // values to the proper classes if provided. All of these operations are
-    // done in the "resolveValue" method.
+    // done in the "resolveValue" method. Values can also be casted to the
+    // types of fields if the "cast" option is set.
     rawDoc = rawDoc || {};
     const fields = Class.getFields();
     _.each(fields, (field) => {
-      doc[field.name] = field.resolveValue(rawDoc);
+      const value = field.resolveValue(rawDoc);
+      doc[field.name] = options.cast ? field.castValue(value) : value;
     });
 
     // Set default values if the "defaults" option is set.
@@ -72,6 +76,13 @@ class Class {
     }
     // Cast nested documents.
     castNested({
+      doc,
+      options: {
+        cast: options.cast
+      }
+    });
+    // Compute values of the computed fields.
+    computeFields({
       doc
     });
 
@@ -1,5 +1,9 @@
 const Config = {
-	verbose: true
+	verbose: true,
+	// The maximum number of documents inserted at once by untrusted code.
+	insertManyLimit: 1000,
+	// The maximum number of changes kept in the undo history of a document.
+	undoHistoryLimit: 100
 };
 
 export default Config;
\ No newline at end of file
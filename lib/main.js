@@ -7,6 +7,8 @@ import './modules/methods/module.js';
 import './modules/fields/module.js';
 import './modules/indexes/module.js';
 import './modules/validators/module.js';
+import './modules/relations/module.js';
+import './modules/json_schema/module.js';
 
 import Config from './core/config.js';
 import Module from './core/module.js';
@@ -0,0 +1,191 @@
+import _ from 'lodash';
+import Behavior from '../behavior.js';
+
+// Groups of characters and their ASCII replacements.
+const transliterations = {
+  'ąáàâãăåäāǟ': 'a',
+  'ćĉčçċ': 'c',
+  'ďđḑ': 'd',
+  'ęéèêěĕëēė': 'e',
+  'ģĝğġ': 'g',
+  'ĥħ': 'h',
+  'íìîĭïīįĩı': 'i',
+  'ĵ': 'j',
+  'ķ': 'k',
+  'łļĺľŀ': 'l',
+  'ňńņñŉ': 'n',
+  'óòôŏöōøőȯȱȭõ': 'o',
+  'řŗŕ': 'r',
+  'śŝšş': 's',
+  'ťțŧ': 't',
+  'úùûūųüűŭũů': 'u',
+  'ŵ': 'w',
+  'ŷýÿ': 'y',
+  'źżž': 'z',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ß': 'ss',
+  'þ': 'th',
+  'ð': 'd',
+  'а': 'a',
+  'б': 'b',
+  'в': 'v',
+  'г': 'g',
+  'д': 'd',
+  'еёэ': 'e',
+  'ж': 'zh',
+  'з': 'z',
+  'ий': 'i',
+  'к': 'k',
+  'л': 'l',
+  'м': 'm',
+  'н': 'n',
+  'о': 'o',
+  'п': 'p',
+  'р': 'r',
+  'с': 's',
+  'т': 't',
+  'у': 'u',
+  'ф': 'f',
+  'х': 'kh',
+  'ц': 'ts',
+  'ч': 'ch',
+  'ш': 'sh',
+  'щ': 'shch',
+  'ъ': 'ie',
+  'ы': 'y',
+  'ь': '',
+  'ю': 'iu',
+  'я': 'ia'
+};
+
+// Map of single characters to their replacements.
+const charsMap = {};
+_.each(transliterations, (replacement, chars) => {
+  _.each(chars, (char) => {
+    charsMap[char] = replacement;
+  });
+});
+
+function transliterate(value) {
+  return _.map(value, (char) => {
+    return _.has(charsMap, char) ? charsMap[char] : char;
+  }).join('');
+};
+
+Behavior.create({
+  name: 'slug',
+  options: {
+    fieldName: 'name',
+    slugFieldName: 'slug',
+    canUpdate: false,
+    unique: true,
+    separator: '-'
+  },
+  createClassDefinition() {
+    const definition = {
+      fields: {
+        [this.options.slugFieldName]: {
+          type: String,
+          optional: true
+        }
+      },
+      events: {
+        beforeSave: (e) => {
+          this.setSlug(e.currentTarget);
+        }
+      }
+    };
+
+    if (this.options.unique) {
+      // Let the database enforce uniqueness of slugs. Documents without a
+      // slug are not indexed, so many of them can exist at the same time.
+      definition.indexes = {
+        [this.options.slugFieldName]: {
+          fields: {
+            [this.options.slugFieldName]: 1
+          },
+          options: {
+            unique: true,
+            sparse: true
+          }
+        }
+      };
+    }
+
+    return definition;
+  },
+  generateSlug(value) {
+    const separator = this.options.separator;
+
+    // Replace all non alphanumeric characters with the separator and remove
+    // separators from both ends of the slug.
+    return _.trim(
+      transliterate(String(value).toLowerCase())
+        .replace(/[^a-z0-9]+/g, separator),
+      separator
+    );
+  },
+  makeUnique(doc, slug) {
+    const Class = doc.constructor;
+    const Collection = Class.getCollection();
+
+    if (!Collection) {
+      return slug;
+    }
+
+    // Look for the slug in the collection directly, because documents hidden
+    // from the "find" method of a class still occupy the unique index.
+    const isTaken = (candidate) => {
+      const selector = {
+        [this.options.slugFieldName]: candidate
+      };
+      if (doc._id) {
+        selector._id = {
+          $ne: doc._id
+        };
+      }
+      return !!Collection.findOne(selector, {
+        fields: {
+          _id: 1
+        },
+        transform: null
+      });
+    };
+
+    // Append a numeric suffix until finding a free slug.
+    let candidate = slug;
+    let suffix = 2;
+    while (isTaken(candidate)) {
+      candidate = slug + this.options.separator + suffix;
+      suffix++;
+    }
+
+    return candidate;
+  },
+  setSlug(doc) {
+    const {
+      fieldName,
+      slugFieldName,
+      canUpdate,
+      unique
+    } = this.options;
+
+    // Keep the slug once a document has been stored, unless updating it is
+    // allowed.
+    if (!canUpdate && !doc._isNew && doc[slugFieldName]) {
+      return;
+    }
+
+    const value = doc.get(fieldName);
+    if (_.isNil(value) || value === '') {
+      return;
+    }
+
+    let slug = this.generateSlug(value);
+    if (unique) {
+      slug = this.makeUnique(doc, slug);
+    }
+    doc[slugFieldName] = slug;
+  }
+});
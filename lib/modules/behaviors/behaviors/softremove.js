@@ -0,0 +1,123 @@
+import _ from 'lodash';
+import Behavior from '../behavior.js';
+
+Behavior.create({
+  name: 'softremove',
+  options: {
+    removedFieldName: 'removed',
+    hasRemovedAtField: true,
+    removedAtFieldName: 'removedAt'
+  },
+  createClassDefinition() {
+    const behavior = this;
+
+    const definition = {
+      fields: {
+        [this.options.removedFieldName]: {
+          type: Boolean,
+          default: false,
+          optional: true
+        }
+      },
+      events: {
+        beforeFind: (e) => {
+          this.filterRemoved(e);
+        }
+      },
+      methods: {
+        softRemove(callback) {
+          const doc = this;
+
+          // Only documents stored in the collection can be soft removed.
+          if (doc._isNew) {
+            return 0;
+          }
+
+          doc[behavior.options.removedFieldName] = true;
+          if (behavior.options.hasRemovedAtField) {
+            doc[behavior.options.removedAtFieldName] = new Date();
+          }
+
+          return doc.save({
+            fields: behavior.getFieldsNames()
+          }, callback);
+        },
+        softRestore(callback) {
+          const doc = this;
+
+          // Only documents stored in the collection can be restored.
+          if (doc._isNew) {
+            return 0;
+          }
+
+          doc[behavior.options.removedFieldName] = false;
+          if (behavior.options.hasRemovedAtField) {
+            doc[behavior.options.removedAtFieldName] = undefined;
+          }
+
+          return doc.save({
+            fields: behavior.getFieldsNames()
+          }, callback);
+        }
+      }
+    };
+
+    if (this.options.hasRemovedAtField) {
+      // Add a field for storing a removal date.
+      definition.fields[this.options.removedAtFieldName] = {
+        type: Date,
+        optional: true
+      };
+    }
+
+    return definition;
+  },
+  apply(Class) {
+    const behavior = this;
+
+    Class.extend(this.createClassDefinition());
+
+    // Add a class level method for soft removing all documents matching the
+    // given selector.
+    Class.softRemove = function(selector, callback) {
+      const $set = {
+        [behavior.options.removedFieldName]: true
+      };
+      if (behavior.options.hasRemovedAtField) {
+        $set[behavior.options.removedAtFieldName] = new Date();
+      }
+
+      return this.update(selector, {
+        $set
+      }, {
+        multi: true
+      }, callback);
+    };
+  },
+  getFieldsNames() {
+    const fieldsNames = [this.options.removedFieldName];
+    if (this.options.hasRemovedAtField) {
+      fieldsNames.push(this.options.removedAtFieldName);
+    }
+    return fieldsNames;
+  },
+  filterRemoved(e) {
+    const {
+      selector,
+      options
+    } = e;
+
+    // Fetch removed documents only when explicitly requested.
+    if (options.withRemoved) {
+      return;
+    }
+    // Respect a condition on the removed flag passed in the selector.
+    if (_.has(selector, this.options.removedFieldName)) {
+      return;
+    }
+
+    selector[this.options.removedFieldName] = {
+      $ne: true
+    };
+  }
+});
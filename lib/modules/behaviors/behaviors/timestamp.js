@@ -0,0 +1,61 @@
+import Behavior from '../behavior.js';
+
+Behavior.create({
+  name: 'timestamp',
+  options: {
+    hasCreatedField: true,
+    createdFieldName: 'createdAt',
+    hasUpdatedField: true,
+    updatedFieldName: 'updatedAt'
+  },
+  createClassDefinition() {
+    const definition = {
+      fields: {},
+      events: {
+        beforeInsert: (e) => {
+          this.setCreationDate(e.currentTarget);
+        },
+        beforeUpdate: (e) => {
+          this.setModificationDate(e.currentTarget);
+        }
+      }
+    };
+
+    if (this.options.hasCreatedField) {
+      // Add a field for storing a creation date. The creation date can not be
+      // changed once a document is stored in the collection.
+      definition.fields[this.options.createdFieldName] = {
+        type: Date,
+        immutable: true,
+        optional: true
+      };
+    }
+
+    if (this.options.hasUpdatedField) {
+      // Add a field for storing an update date.
+      definition.fields[this.options.updatedFieldName] = {
+        type: Date,
+        optional: true
+      };
+    }
+
+    return definition;
+  },
+  setCreationDate(doc) {
+    // Use the same date for both fields, so that a freshly inserted document
+    // has equal creation and update dates.
+    const date = new Date();
+
+    if (this.options.hasCreatedField) {
+      doc[this.options.createdFieldName] = date;
+    }
+    if (this.options.hasUpdatedField) {
+      doc[this.options.updatedFieldName] = date;
+    }
+  },
+  setModificationDate(doc) {
+    if (this.options.hasUpdatedField) {
+      doc[this.options.updatedFieldName] = new Date();
+    }
+  }
+});
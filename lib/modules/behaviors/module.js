@@ -1,4 +1,8 @@
 import Module from '../../core/module.js';
+// Behaviors.
+import './behaviors/slug.js';
+import './behaviors/softremove.js';
+import './behaviors/timestamp.js';
 // Hooks.
 import onInitSchema from './hooks/init_schema.js';
 import onInitDefinition from './hooks/init_definition.js';
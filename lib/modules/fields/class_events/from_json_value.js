@@ -2,7 +2,10 @@ import setAll from '../utils/set_all.js';
 
 function fromJSONValue(e) {
 	let doc = e.currentTarget;
-	setAll(doc, EJSON.parse(e.json.values));
+	// Restoring values of a document is not a change that could be undone.
+	setAll(doc, EJSON.parse(e.json.values), {
+		undo: false
+	});
 };
 
 export default fromJSONValue;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { canRedo as utilCanRedo } from '../utils/undo_history.js';
+
+function canRedo() {
+	let doc = this;
+
+	return utilCanRedo(doc);
+};
+
+export default canRedo;
\ No newline at end of file
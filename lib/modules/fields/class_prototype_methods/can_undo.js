@@ -0,0 +1,9 @@
+import { canUndo as utilCanUndo } from '../utils/undo_history.js';
+
+function canUndo() {
+	let doc = this;
+
+	return utilCanUndo(doc);
+};
+
+export default canUndo;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { addCheckpoint } from '../utils/undo_history.js';
+
+function checkpoint() {
+	let doc = this;
+
+	addCheckpoint(doc);
+};
+
+export default checkpoint;
\ No newline at end of file
@@ -1,19 +1,24 @@
+import _ from 'lodash';
 import getAll from '../utils/get_all.js';
 import getMany from '../utils/get_many.js';
 import getOne from '../utils/get_one.js';
+import { depend } from '../utils/reactivity.js';
 
 function get() {
 	let doc = this;
 	let args = arguments;
 
 	if (args.length === 0) {
+		depend(doc);
 		return getAll(doc);
 	}
 	else if (args.length === 1) {
 		if (args[0] instanceof Array) {
+			_.each(args[0], (name) => depend(doc, name));
 			return getMany(doc, args[0]);
 		}
 		else if (typeof args[0] === 'string') {
+			depend(doc, args[0]);
 			return getOne(doc, args[0]);
 		}
 	}
@@ -0,0 +1,9 @@
+import { redo as utilRedo } from '../utils/undo_history.js';
+
+function redo(options = {}) {
+	let doc = this;
+
+	return utilRedo(doc, options);
+};
+
+export default redo;
\ No newline at end of file
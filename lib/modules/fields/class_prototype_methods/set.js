@@ -2,22 +2,44 @@ import _ from 'lodash';
 import setMany from '../utils/set_many.js';
 import setOne from '../utils/set_one.js';
 import castNested from '../utils/cast_nested.js';
+import computeFields from '../utils/compute_fields.js';
 
 function set() {
 	const doc = this;
 	const args = arguments;
 
-	if (args.length === 1 && _.isObject(args[0])) {
-		setMany(doc, args[0]);
+	let names;
+	let options = {};
+	if (
+		(args.length === 1 || args.length === 2) &&
+		_.isObject(args[0]) && !_.isString(args[0])
+	) {
+		options = args[1] || {};
+		setMany(doc, args[0], options);
+		names = _.keys(args[0]);
 	}
-	else if (args.length === 2 && typeof args[0] === 'string') {
-		setOne(doc, args[0], args[1]);
+	else if (
+		(args.length === 2 || args.length === 3) && typeof args[0] === 'string'
+	) {
+		options = args[2] || {};
+		setOne(doc, args[0], args[1], options);
+		names = [args[0]];
 	}
 
   // Cast nested documents.
   castNested({
-    doc
+    doc,
+    options: {
+      cast: options.cast
+    }
   });
+  // Recompute fields depending on the modified ones.
+  if (names) {
+    computeFields({
+      doc,
+      names
+    });
+  }
 };
 
 export default set;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { undo as utilUndo } from '../utils/undo_history.js';
+
+function undo(options = {}) {
+	let doc = this;
+
+	return utilUndo(doc, options);
+};
+
+export default undo;
\ No newline at end of file
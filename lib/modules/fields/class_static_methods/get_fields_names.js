@@ -4,7 +4,8 @@ function getFieldsNames(options) {
   // Prepare options.
 	options = _.extend({
 		transient: true,
-		immutable: true
+		immutable: true,
+		computed: true
 	}, options);
 
   const fieldsNames = [];
@@ -17,6 +18,10 @@ function getFieldsNames(options) {
     if (!options.immutable && field.immutable) {
       return;
     }
+    // Don't get a computed field.
+    if (!options.computed && field.computed) {
+      return;
+    }
     fieldsNames.push(name);
   });
 
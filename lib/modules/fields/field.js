@@ -16,6 +16,10 @@ class Field {
     this.immutable = definition.immutable;
     this.transient = definition.transient;
     this.resolve = definition.resolve;
+    this.compute = definition.compute;
+    this.dependencies = definition.dependencies || [];
+    this.computed = !!definition.compute;
+    this.writableBy = definition.writableBy;
   }
 
   getDefault() {
@@ -39,6 +43,14 @@ class Field {
     }
   }
 
+  castValue(value) {
+    return value;
+  }
+
+  computeValue(doc) {
+    return this.compute(doc);
+  }
+
   resolveValue(plainDoc) {
     let value;
     if (this.resolve) {
@@ -21,6 +21,10 @@ function checkTypeExistence(type, className, fieldName) {
 }
 
 function onApplyDefinition(Class, parsedDefinition, className) {
+  if (parsedDefinition.reactive !== undefined) {
+    Class.schema.reactive = parsedDefinition.reactive;
+  }
+
   _.each(parsedDefinition.fields, function(fieldDefinition, fieldName) {
     // Prepare field variable.
     let field;
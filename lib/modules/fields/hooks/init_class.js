@@ -10,6 +10,11 @@ import hasField from '../class_static_methods/has_field.js';
 import get from '../class_prototype_methods/get.js';
 import raw from '../class_prototype_methods/raw.js';
 import set from '../class_prototype_methods/set.js';
+import undo from '../class_prototype_methods/undo.js';
+import redo from '../class_prototype_methods/redo.js';
+import canUndo from '../class_prototype_methods/can_undo.js';
+import canRedo from '../class_prototype_methods/can_redo.js';
+import checkpoint from '../class_prototype_methods/checkpoint.js';
 // Class events.
 import fromJSONValue from '../class_events/from_json_value.js';
 import toJSONValue from '../class_events/to_json_value.js';
@@ -27,6 +32,11 @@ function onInitClass(Class, className) {
   Class.prototype.get = get;
   Class.prototype.raw = raw;
   Class.prototype.set = set;
+  Class.prototype.undo = undo;
+  Class.prototype.redo = redo;
+  Class.prototype.canUndo = canUndo;
+  Class.prototype.canRedo = canRedo;
+  Class.prototype.checkpoint = checkpoint;
   // Class events.
   Class.extend({
     events: {
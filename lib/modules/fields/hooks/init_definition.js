@@ -1,5 +1,6 @@
 function onInitDefinition(definition, className) {
 	definition.fields = {};
+	definition.reactive = undefined;
 };
 
 export default onInitDefinition;
\ No newline at end of file
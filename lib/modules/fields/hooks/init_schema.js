@@ -1,6 +1,7 @@
 function onInitSchema(schema, className) {
   schema.fields = {};
   schema.fieldsNames = [];
+  schema.reactive = false;
 };
 
 export default onInitSchema;
\ No newline at end of file
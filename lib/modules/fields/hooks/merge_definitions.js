@@ -4,6 +4,9 @@ function onMergeDefinitions(targetDefinition, sourceDefinition, className) {
   _.each(sourceDefinition.fields, function(fieldDefinition, fieldName) {
     targetDefinition.fields[fieldName] = fieldDefinition;
   });
+  if (sourceDefinition.reactive !== undefined) {
+    targetDefinition.reactive = sourceDefinition.reactive;
+  }
 };
 
 export default onMergeDefinitions;
\ No newline at end of file
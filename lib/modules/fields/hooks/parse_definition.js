@@ -7,6 +7,21 @@ import reservedKeywords from '../../../core/reserved_keywords.js';
 const typePattern = Match.OneOf(Function, [Function]);
 
 function onParseDefinition(parsedDefinition, definition, className) {
+  // Check existence and validity of the "reactive" property.
+  if (definition.reactive !== undefined) {
+    // The "reactive" property has to be a boolean.
+    if (!Match.test(definition.reactive, Boolean)) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'reactive'
+        },
+        'Property value has to be a boolean'
+      ]);
+    }
+    parsedDefinition.reactive = definition.reactive;
+  }
+
   if (definition.fields === undefined) {
     return;
   }
@@ -46,6 +61,49 @@ function onParseDefinition(parsedDefinition, definition, className) {
 			]);
 		}
 
+    // Check validity of the computed field definition.
+    if (fieldDefinition.compute !== undefined) {
+      if (!Match.test(fieldDefinition.compute, Function)) {
+        throwParseError([{
+            'class': className
+          }, {
+            'property': 'fields'
+          }, {
+            'field': fieldName
+          },
+          'The "compute" property has to be a function'
+        ]);
+      }
+      if (!Match.test(fieldDefinition.dependencies, [String])) {
+        throwParseError([{
+            'class': className
+          }, {
+            'property': 'fields'
+          }, {
+            'field': fieldName
+          },
+          'Computed field has to declare the "dependencies" property being ' +
+          'an array of fields names'
+        ]);
+      }
+    }
+
+    // Check validity of the write policy.
+    if (
+      fieldDefinition.writableBy !== undefined &&
+      !Match.test(fieldDefinition.writableBy, Function)
+    ) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'fields'
+        }, {
+          'field': fieldName
+        },
+        'The "writableBy" property has to be a function'
+      ]);
+    }
+
     // Check if a field name is not reserved keyword.
     if (_.includes(reservedKeywords, fieldName)) {
       throwParseError([{
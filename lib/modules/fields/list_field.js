@@ -10,6 +10,19 @@ class ListField extends Field {
     this.isClass = AstroClass.isParentOf(this.type.class);
   }
 
+  castValue(value) {
+    // Nested documents are casted when creating instances of a nested class.
+    if (!_.isArray(value) || this.isClass) {
+      return value;
+    }
+    return _.map(value, (element) => {
+      if (_.isNil(element)) {
+        return element;
+      }
+      return this.type.cast(element);
+    });
+  }
+
   validate(args) {
     super.validate(args);
     var {
@@ -8,6 +8,7 @@ import './types/object.js';
 import './types/string.js';
 // Utils.
 import castNested from './utils/cast_nested.js';
+import computeFields from './utils/compute_fields.js';
 import getAll from './utils/get_all.js';
 import getMany from './utils/get_many.js';
 import getOne from './utils/get_one.js';
@@ -15,11 +16,33 @@ import isNestedFieldName from './utils/is_nested_field_name.js';
 import rawAll from './utils/raw_all.js';
 import rawMany from './utils/raw_many.js';
 import rawOne from './utils/raw_one.js';
+import {
+  depend,
+  dependModified,
+  dependErrors,
+  changed,
+  changedModified,
+  changedErrors
+} from './utils/reactivity.js';
 import setAll from './utils/set_all.js';
 import setDefaults from './utils/set_defaults.js';
 import setMany from './utils/set_many.js';
 import setOne from './utils/set_one.js';
 import traverse from './utils/traverse.js';
+import traverseClass from './utils/traverse_class.js';
+import {
+  getUndoHistory,
+  recordChange,
+  batchChanges,
+  clearUndoHistory
+} from './utils/undo_history.js';
+import {
+  setValidationErrors,
+  clearValidationErrors,
+  getValidationErrors,
+  getValidationError,
+  hasValidationErrors
+} from './utils/validation_errors.js';
 // Hooks.
 import onInitSchema from './hooks/init_schema.js';
 import onInitDefinition from './hooks/init_definition.js';
@@ -37,18 +60,35 @@ Module.create({
   onApplyDefinition,
   onInitClass,
   utils: {
+    batchChanges,
     castNested,
+    changed,
+    changedModified,
+    changedErrors,
+    clearUndoHistory,
+    clearValidationErrors,
+    computeFields,
+    depend,
+    dependModified,
+    dependErrors,
     getAll,
     getMany,
     getOne,
+    getUndoHistory,
+    getValidationError,
+    getValidationErrors,
+    hasValidationErrors,
     isNestedFieldName,
     rawAll,
     rawMany,
     rawOne,
+    recordChange,
     setAll,
     setDefaults,
     setMany,
     setOne,
-    traverse
+    setValidationErrors,
+    traverse,
+    traverseClass
   }
 });
\ No newline at end of file
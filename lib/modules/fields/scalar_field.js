@@ -8,6 +8,13 @@ class ScalarField extends Field {
     this.type = definition.type;
   }
 
+  castValue(value) {
+    if (_.isNil(value)) {
+      return value;
+    }
+    return this.type.cast(value);
+  }
+
   validate(args) {
     super.validate(args);
     var {
@@ -38,6 +38,14 @@ class Type {
     return true;
   }
 
+  cast(value) {
+    return value;
+  }
+
+  raw(value) {
+    return value;
+  }
+
   static create(definition) {
     let type = new Type(definition);
     this.types[type.name] = type;
@@ -1,3 +1,4 @@
+import _ from 'lodash';
 import Type from '../type.js';
 import Validators from '../../validators/validators.js';
 
@@ -6,5 +7,14 @@ Type.create({
   class: Boolean,
   validate(args) {
     Validators.boolean(args);
+  },
+  cast(value) {
+    if (_.isString(value)) {
+      return !_.includes(['', '0', 'false'], _.trim(value).toLowerCase());
+    }
+    if (_.isNumber(value)) {
+      return value !== 0;
+    }
+    return value;
   }
 });
\ No newline at end of file
@@ -1,3 +1,4 @@
+import _ from 'lodash';
 import Type from '../type.js';
 import Validators from '../../validators/validators.js';
 
@@ -6,5 +7,17 @@ Type.create({
   class: Date,
   validate(args) {
     Validators.date(args);
+  },
+  cast(value) {
+    if (_.isString(value) && _.trim(value) === '') {
+      return null;
+    }
+    if (_.isString(value) || _.isNumber(value)) {
+      const date = new Date(value);
+      if (!_.isNaN(date.getTime())) {
+        return date;
+      }
+    }
+    return value;
   }
 });
\ No newline at end of file
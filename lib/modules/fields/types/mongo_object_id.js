@@ -1,3 +1,4 @@
+import _ from 'lodash';
 import Type from '../type.js';
 import Validators from '../../validators/validators.js';
 import { Mongo } from 'meteor/mongo';
@@ -7,5 +8,11 @@ Type.create({
   class: Mongo.ObjectID,
   validate(args) {
     Validators.mongoObjectID(args);
+  },
+  cast(value) {
+    if (_.isString(value) && /^[0-9a-f]{24}$/i.test(value)) {
+      return new Mongo.ObjectID(value.toLowerCase());
+    }
+    return value;
   }
 });
\ No newline at end of file
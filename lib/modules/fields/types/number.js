@@ -1,3 +1,4 @@
+import _ from 'lodash';
 import Type from '../type.js';
 import Validators from '../../validators/validators.js';
 
@@ -6,5 +7,18 @@ Type.create({
   class: Number,
   validate(args) {
     Validators.number(args);
+  },
+  cast(value) {
+    if (_.isString(value)) {
+      // An empty form input means no value.
+      if (_.trim(value) === '') {
+        return null;
+      }
+      const number = Number(value);
+      if (!_.isNaN(number)) {
+        return number;
+      }
+    }
+    return value;
   }
 });
\ No newline at end of file
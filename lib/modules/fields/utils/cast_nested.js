@@ -1,22 +1,23 @@
 import _ from 'lodash';
 import AstroClass from '../../../core/class.js';
 
-function createDocument(Class, rawDoc) {
+function createDocument(Class, rawDoc, options) {
   // If a nested field has a type field, then we have to check if we are
   // casting to some of the nested classes.
   const typeField = Class.getTypeField();
   if (typeField) {
     const ChildClass = AstroClass.get(rawDoc[typeField]);
     if (ChildClass && ChildClass.isChildOf(Class)) {
-      return new ChildClass(rawDoc);
+      return new ChildClass(rawDoc, options);
     }
   }
-  return new Class(rawDoc);
+  return new Class(rawDoc, options);
 };
 
 function castNested(args = {}) {
   const {
-    doc
+    doc,
+    options
   } = args;
   const Class = doc.constructor;
 
@@ -31,7 +32,7 @@ function castNested(args = {}) {
       if (!_.isPlainObject(value)) {
         return;
       }
-      doc[field.name] = createDocument(NestedClass, value);
+      doc[field.name] = createDocument(NestedClass, value, options);
     }
   });
 
@@ -47,7 +48,7 @@ function castNested(args = {}) {
         if (!_.isPlainObject(element)) {
           return;
         }
-        value[index] = createDocument(NestedClass, element);
+        value[index] = createDocument(NestedClass, element, options);
       }
     });
   });
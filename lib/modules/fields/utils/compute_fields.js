@@ -0,0 +1,90 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import { changed } from './reactivity.js';
+
+function dependsOn(dependency, name) {
+  return dependency === name ||
+    _.startsWith(name, dependency + '.') ||
+    _.startsWith(dependency, name + '.');
+};
+
+function computeFields(args = {}) {
+  const {
+    doc,
+    names
+  } = args;
+  const Class = doc.constructor;
+
+  // Group names of modified fields by top level field names, so we can pass
+  // the rest of the names to the nested documents.
+  let nestedNames;
+  if (names) {
+    nestedNames = {};
+    _.each(names, (name) => {
+      const segments = name.split('.');
+      const fieldName = segments.shift();
+      nestedNames[fieldName] = nestedNames[fieldName] || [];
+      if (segments.length > 0) {
+        nestedNames[fieldName].push(segments.join('.'));
+      }
+    });
+  }
+
+  // Recompute fields of the nested documents first, because fields of a given
+  // document may depend on them.
+  const computeNested = (nestedDoc, nestedDocNames) => {
+    if (!(nestedDoc instanceof AstroClass)) {
+      return;
+    }
+    computeFields({
+      doc: nestedDoc,
+      names: nestedDocNames && nestedDocNames.length > 0 ?
+        nestedDocNames : undefined
+    });
+  };
+  _.each(Class.getObjectFields(), (field) => {
+    if (!nestedNames || _.has(nestedNames, field.name)) {
+      computeNested(doc[field.name], nestedNames && nestedNames[field.name]);
+    }
+  });
+  _.each(Class.getListFields(), (field) => {
+    if (!field.isClass || !_.isArray(doc[field.name])) {
+      return;
+    }
+    if (!nestedNames) {
+      _.each(doc[field.name], (element) => computeNested(element));
+    }
+    else if (_.has(nestedNames, field.name)) {
+      // Group names by array indexes.
+      const elementsNames = _.groupBy(nestedNames[field.name], (name) => {
+        return name.split('.')[0];
+      });
+      // Recompute all elements when an entire array has been set.
+      if (nestedNames[field.name].length === 0) {
+        _.each(doc[field.name], (element) => computeNested(element));
+      }
+      _.each(elementsNames, (elementNames, index) => {
+        computeNested(doc[field.name][index], _.compact(_.map(
+          elementNames, (name) => name.split('.').slice(1).join('.')
+        )));
+      });
+    }
+  });
+
+  // Recompute computed fields depending on modified fields or all of them when
+  // no modified fields are given.
+  _.each(Class.getFields(), (field) => {
+    if (!field.computed) {
+      return;
+    }
+    const isAffected = !names || _.some(field.dependencies, (dependency) => {
+      return _.some(names, (name) => dependsOn(dependency, name));
+    });
+    if (isAffected) {
+      doc[field.name] = field.computeValue(doc);
+      changed(doc, field.name);
+    }
+  });
+};
+
+export default computeFields;
@@ -1,8 +1,15 @@
+import _ from 'lodash';
 import rawMany from './raw_many.js';
 
 function rawAll(doc, options) {
 	let Class = doc.constructor;
 
+	// Prepare options. Computed fields are not a part of the raw data, unless
+	// explicitly requested.
+	options = _.extend({
+		computed: false
+	}, options);
+
 	// Get list of fields and their values.
 	return rawMany(doc, Class.getFieldsNames(options), options);
 };
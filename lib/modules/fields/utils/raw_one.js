@@ -2,12 +2,25 @@ import _ from 'lodash';
 import AstroClass from '../../../core/class.js';
 import traverse from './traverse.js';
 import rawAll from './raw_all.js';
+import ListField from '../list_field.js';
+
+function rawValue(field, value) {
+	// Let a type decide how its values are stored. Only values being instances
+	// of the type class are converted, so values already in the stored form
+	// (e.g. the ones fetched from the database) are left untouched.
+	const TypeClass = field.type.class;
+	if (!_.isFunction(TypeClass) || !(value instanceof TypeClass)) {
+		return value;
+	}
+	return field.type.raw(value);
+};
 
 function rawOne(doc, fieldPattern, options) {
 	// Prepare options.
 	options = _.extend({
 		transient: true,
-		immutable: true
+		immutable: true,
+		computed: false
 	}, options);
 
 	return traverse(
@@ -28,6 +41,11 @@ function rawOne(doc, fieldPattern, options) {
 				return;
 			}
 
+			// Don't get a computed field.
+			if (!options.computed && field.computed) {
+				return;
+			}
+
 			// Get a value to be returned.
 			let fieldValue = nestedDoc[nestedFieldName];
 
@@ -35,17 +53,23 @@ function rawOne(doc, fieldPattern, options) {
 				return rawAll(fieldValue, options);
 			}
 			else if (_.isArray(fieldValue)) {
-				return _.map(fieldValue, function(element) {
+				const isList = field instanceof ListField;
+				const values = _.map(fieldValue, function(element) {
 					if (element instanceof AstroClass) {
 						return rawAll(element, options);
 					}
+					// The type of the list field is the type of its elements.
+					else if (isList) {
+						return rawValue(field, element);
+					}
 					else {
 						return element;
 					}
 				});
+				return isList ? values : rawValue(field, values);
 			}
 			else {
-				return fieldValue;
+				return rawValue(field, fieldValue);
 			}
 		}
 	);
@@ -0,0 +1,103 @@
+import _ from 'lodash';
+import { Tracker } from 'meteor/tracker';
+
+// Checks whether a field path depends on another one. Paths depend on each
+// other when they are equal or one of them is nested in the other one.
+function dependsOn(dependency, name) {
+  return dependency === name ||
+    _.startsWith(name, dependency + '.') ||
+    _.startsWith(dependency, name + '.');
+};
+
+// Returns dependencies of a document stored by field paths. Dependencies on
+// values of fields, on their modified state and on their validation errors are
+// stored separately. They are stored in the not enumerable property, so they
+// are not treated as document values.
+function getDependencies(doc) {
+  if (!doc._dependencies) {
+    Object.defineProperty(doc, '_dependencies', {
+      writable: true,
+      enumerable: false,
+      value: {
+        values: {},
+        modified: {},
+        errors: {}
+      }
+    });
+  }
+  return doc._dependencies;
+};
+
+function isReactive(doc) {
+  return !!doc.constructor.schema.reactive;
+};
+
+function registerDependency(doc, kind, name) {
+  if (!isReactive(doc) || !Tracker.active) {
+    return;
+  }
+  const dependencies = getDependencies(doc)[kind];
+  if (!dependencies[name]) {
+    dependencies[name] = new Tracker.Dependency();
+  }
+  dependencies[name].depend();
+};
+
+function invalidateDependencies(doc, kind, name) {
+  if (!isReactive(doc) || !doc._dependencies) {
+    return;
+  }
+  _.each(doc._dependencies[kind], (dependency, dependencyName) => {
+    if (
+      name === undefined || dependencyName === '' ||
+      dependsOn(dependencyName, name)
+    ) {
+      dependency.changed();
+    }
+  });
+};
+
+// Registers a dependency on a value of a field path in the current
+// computation. An empty path means a dependency on all fields of a document.
+function depend(doc, name = '') {
+  registerDependency(doc, 'values', name);
+};
+
+// Registers a dependency on the modified state of a field path in the current
+// computation.
+function dependModified(doc, name = '') {
+  registerDependency(doc, 'modified', name);
+};
+
+// Registers a dependency on validation errors of a field path in the current
+// computation.
+function dependErrors(doc, name = '') {
+  registerDependency(doc, 'errors', name);
+};
+
+// Invalidates dependencies affected by a change of a field path.
+function changed(doc, name) {
+  invalidateDependencies(doc, 'values', name);
+  invalidateDependencies(doc, 'modified', name);
+};
+
+// Invalidates all dependencies on the modified state, when a baseline for
+// detecting modifications changes.
+function changedModified(doc) {
+  invalidateDependencies(doc, 'modified');
+};
+
+// Invalidates dependencies on validation errors of a field path or all of them
+// when no path is given.
+function changedErrors(doc, name) {
+  invalidateDependencies(doc, 'errors', name);
+};
+
+export {
+  depend,
+  dependModified,
+  dependErrors,
+  changed,
+  changedModified,
+  changedErrors
+};
\ No newline at end of file
@@ -1,18 +1,36 @@
 import _ from 'lodash';
 import setOne from './set_one.js';
+import computeFields from './compute_fields.js';
+import { batchChanges } from './undo_history.js';
 
-function setAll(doc, fieldsValues) {
+function setAll(doc, fieldsValues, options) {
 	let Class = doc.constructor;
 
+	// Values of computed fields are not set directly.
+	let storedFieldsNames = Class.getFieldsNames({
+		computed: false
+	});
+	fieldsValues = _.omit(
+		fieldsValues, _.difference(Class.getFieldsNames(), storedFieldsNames)
+	);
+
 	// Get names of the fields that are not present in the fieldsValues variable.
-	let fieldsNames = _.difference(Class.getFieldsNames(), _.keys(fieldsValues));
+	let fieldsNames = _.difference(storedFieldsNames, _.keys(fieldsValues));
+
+	// All changes are undone at once.
+	batchChanges(doc, () => {
+		_.each(fieldsNames, (fieldName) => {
+			setOne(doc, fieldName, undefined, options);
+		});
 
-	_.each(fieldsNames, (fieldName) => {
-		setOne(doc, fieldName, undefined);
+		_.forOwn(fieldsValues, (fieldValue, fieldName) => {
+			setOne(doc, fieldName, fieldValue, options);
+		});
 	});
 
-	_.forOwn(fieldsValues, (fieldValue, fieldName) => {
-		setOne(doc, fieldName, fieldValue);
+	// Recompute all computed fields.
+	computeFields({
+		doc
 	});
 };
 
@@ -1,10 +1,13 @@
 import _ from 'lodash';
 import setOne from './set_one.js';
+import { batchChanges } from './undo_history.js';
 
-function setMany(doc, fieldsValues) {
-	// Set multiple fields.
-	_.forOwn(fieldsValues, (setValue, fieldName) => {
-		setOne(doc, fieldName, setValue);
+function setMany(doc, fieldsValues, options) {
+	// Set multiple fields. All changes are undone at once.
+	batchChanges(doc, () => {
+		_.forOwn(fieldsValues, (setValue, fieldName) => {
+			setOne(doc, fieldName, setValue, options);
+		});
 	});
 };
 
@@ -1,7 +1,10 @@
 import traverse from '../utils/traverse.js';
 import warn from '../../core/utils/warn.js';
+import { recordChange } from './undo_history.js';
+import { changed } from './reactivity.js';
+import { clearValidationErrors } from './validation_errors.js';
 
-function setOne(doc, fieldPattern, fieldValue) {
+function setOne(doc, fieldPattern, fieldValue, options = {}) {
 	return traverse(
 		doc, fieldPattern,
 		function(nestedDoc, nestedFieldName, field) {
@@ -15,7 +18,32 @@ function setOne(doc, fieldPattern, fieldValue) {
 				return;
 			}
 
+			// Computed fields can only be set by recomputing their values.
+			if (field.computed) {
+				let Class = doc.constructor;
+				warn(
+					'["' + Class.getName() + '" class]["' + fieldPattern + '" field] ' +
+					'Trying to set a value of the computed field'
+				);
+				return;
+			}
+
+			// Cast a value to the type of a field if requested.
+			if (options.cast) {
+				fieldValue = field.castValue(fieldValue);
+			}
+
+			// Record a change, so it can be undone.
+			const oldValue = nestedDoc[nestedFieldName];
+			if (options.undo !== false && oldValue !== fieldValue) {
+				recordChange(doc, fieldPattern, oldValue, fieldValue);
+			}
+
 			nestedDoc[nestedFieldName] = fieldValue;
+			// Errors of a field are outdated after setting its value.
+			clearValidationErrors(doc, fieldPattern);
+			// Invalidate computations depending on a field.
+			changed(doc, fieldPattern);
 		}
 	);
 };
@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import isNestedFieldName from './is_nested_field_name.js';
+import traverseSegments from './traverse_segments.js';
 import AstroClass from '../../../core/class.js';
 
 function traverse(doc, name, callback) {
@@ -21,16 +22,8 @@ function traverse(doc, name, callback) {
     return callback(doc, name, field);
   }
 
-  // Split the nested field pattern name by the "." character.
-  let segments = name.split('.');
-  // Get the last and one before the last index.
-  let lastIndex = segments.length - 1;
-
   // Traverse nested fields until reaching the last one from the pattern.
-  let next = function(nestedDoc, segmentIndex) {
-    segmentIndex = segmentIndex || 0;
-    // Get a nested field name under the given index.
-    let segment = segments[segmentIndex];
+  return traverseSegments(name, doc, function(nestedDoc, segment, walk) {
     // Check if a nested document is an instance of the Astronomy class and get
     // a field object for a given field name;
     if (nestedDoc instanceof AstroClass) {
@@ -39,18 +32,15 @@ function traverse(doc, name, callback) {
       // Get a field object from the nested class.
       field = Class.getField(segment);
     }
-    if (segmentIndex === lastIndex) {
+    if (walk.last) {
       // Execute the callback function, if we reached the last nested document.
       return callback(nestedDoc, segment, field);
     }
     else if (_.isObject(nestedDoc[segment])) {
       // Go deeper if a value of the current nested document is an object.
-      return next(nestedDoc[segment], segmentIndex + 1);
+      return walk.next(nestedDoc[segment]);
     }
-  };
-
-  // Start traversing nested fields.
-  return next(doc);
+  });
 };
 
 export default traverse;
\ No newline at end of file
@@ -0,0 +1,109 @@
+import _ from 'lodash';
+import isNestedFieldName from './is_nested_field_name.js';
+import traverseSegments from './traverse_segments.js';
+import ObjectField from '../object_field.js';
+import ListField from '../list_field.js';
+
+// Checks whether a segment of a field pattern name points to an array element.
+// It can be an index, the positional operator or the all positional operator.
+function isElementSegment(segment) {
+  return /^\d+$/.test(segment) || /^\$(\[\w*\])?$/.test(segment);
+};
+
+// Works like the "traverse" function but walks a class schema instead of a
+// document, so it can be used for paths of a modifier. The callback function
+// receives the last nested class, the last segment name, a field object and
+// the flags object. The "element" flag tells whether a path points to an
+// element of a list field and the "partial" flag tells whether a path goes
+// deeper into a value of a field of the Object type. A field object is not
+// passed when a path does not point to any field.
+function traverseClass(Class, name, callback) {
+  // Check whether the given field name is a nested field name.
+  if (!isNestedFieldName(name)) {
+    return callback(Class, name, Class.getField(name), {
+      element: false,
+      partial: false
+    });
+  }
+
+  // Traverse nested fields until reaching the last one from the pattern. The
+  // context of a segment is a nested class and a field, which value we are
+  // going deeper into.
+  return traverseSegments(name, {
+    NestedClass: Class
+  }, ({ NestedClass, field }, segment, walk) => {
+    const {
+      last
+    } = walk;
+
+    // Paths can go deeper into a value of the Object type without checking.
+    if (field && !(field instanceof ListField) && field.type.class === Object) {
+      return callback(NestedClass, field.name, field, {
+        element: false,
+        partial: true
+      });
+    }
+
+    if (isElementSegment(segment)) {
+      // Only elements of list fields can be accessed.
+      if (!(field instanceof ListField)) {
+        return callback(NestedClass, segment, undefined, {
+          element: true,
+          partial: false
+        });
+      }
+      if (last) {
+        return callback(NestedClass, field.name, field, {
+          element: true,
+          partial: false
+        });
+      }
+      // Go deeper into a nested class of the list field.
+      if (field.isClass) {
+        return walk.next({
+          NestedClass: field.type.class
+        });
+      }
+      if (field.type.class === Object) {
+        return callback(NestedClass, field.name, field, {
+          element: true,
+          partial: true
+        });
+      }
+      return callback(NestedClass, walk.following, undefined, {
+        element: true,
+        partial: false
+      });
+    }
+
+    // We can't go deeper into a value of a field, which is not a nested class.
+    if (field) {
+      return callback(NestedClass, segment, undefined, {
+        element: false,
+        partial: false
+      });
+    }
+
+    // Get a field object from the current class.
+    const nestedField = NestedClass.getField(segment);
+    if (last || !nestedField) {
+      return callback(NestedClass, segment, nestedField, {
+        element: false,
+        partial: false
+      });
+    }
+
+    // Go deeper if a field is an object field of a nested class.
+    if (nestedField instanceof ObjectField) {
+      return walk.next({
+        NestedClass: nestedField.type.class
+      });
+    }
+    return walk.next({
+      NestedClass,
+      field: nestedField
+    });
+  });
+};
+
+export default traverseClass;
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Walks segments of a nested field name. The "step" function is called for
+// each visited segment with a context of the segment (e.g. a nested document
+// or a nested class), the segment itself and the walk object. The walk object
+// tells whether it's the last segment, gives the following segment and has the
+// "next" function for going to the following segment with a new context.
+function traverseSegments(name, context, step) {
+  // Split the nested field pattern name by the "." character.
+  const segments = name.split('.');
+  // Get the last index.
+  const lastIndex = segments.length - 1;
+
+  const next = function(nestedContext, segmentIndex) {
+    return step(nestedContext, segments[segmentIndex], {
+      last: segmentIndex === lastIndex,
+      following: segments[segmentIndex + 1],
+      next(followingContext) {
+        return next(followingContext, segmentIndex + 1);
+      }
+    });
+  };
+
+  // Start traversing nested fields.
+  return next(context, 0);
+};
+
+export default traverseSegments;
\ No newline at end of file
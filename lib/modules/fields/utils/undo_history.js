@@ -0,0 +1,181 @@
+import _ from 'lodash';
+import Config from '../../../core/config.js';
+import traverse from './traverse.js';
+import castNested from './cast_nested.js';
+import computeFields from './compute_fields.js';
+import { changed } from './reactivity.js';
+import { clearValidationErrors } from './validation_errors.js';
+
+// Returns the undo history of a document. It's stored in the not enumerable
+// property, so it's not treated as a document value. The "undo" and "redo"
+// stacks contain entries being lists of changes made by a single "set" call
+// and checkpoint markers.
+function getUndoHistory(doc) {
+  if (!doc._undoHistory) {
+    Object.defineProperty(doc, '_undoHistory', {
+      writable: true,
+      enumerable: false,
+      value: {
+        undo: [],
+        redo: [],
+        batch: null
+      }
+    });
+  }
+  return doc._undoHistory;
+};
+
+// Drops the oldest entries of the undo stack, so it keeps at most the number
+// of entries set in the "undoHistoryLimit" config. Checkpoints are not counted
+// and the ones left at the bottom of the stack are dropped too.
+function limitEntries(history) {
+  const limit = Config.undoHistoryLimit;
+  let count = _.filter(history.undo, (entry) => !entry.checkpoint).length;
+  while (count > limit || (
+    history.undo.length > 0 && history.undo[0].checkpoint
+  )) {
+    if (!history.undo.shift().checkpoint) {
+      count--;
+    }
+  }
+};
+
+// Pushes a new entry on the undo stack. A new change invalidates all the
+// changes that could be redone.
+function pushEntry(history, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+  history.undo.push({
+    changes
+  });
+  history.redo = [];
+  limitEntries(history);
+};
+
+// Records a change of a field value. Values are cloned, so later mutations of
+// arrays and objects don't affect the history.
+function recordChange(doc, name, oldValue, newValue) {
+  const history = getUndoHistory(doc);
+  const change = {
+    name,
+    oldValue: EJSON.clone(oldValue),
+    newValue: EJSON.clone(newValue)
+  };
+  if (history.batch) {
+    history.batch.push(change);
+  }
+  else {
+    pushEntry(history, [change]);
+  }
+};
+
+// Records all the changes made by the function as a single entry.
+function batchChanges(doc, func) {
+  const history = getUndoHistory(doc);
+  // Nested batches are a part of the outer batch.
+  if (history.batch) {
+    return func();
+  }
+  history.batch = [];
+  try {
+    return func();
+  }
+  finally {
+    const changes = history.batch;
+    history.batch = null;
+    pushEntry(history, changes);
+  }
+};
+
+// Sets values of fields without recording changes.
+function applyChanges(doc, changes, valueName) {
+  _.each(changes, (change) => {
+    traverse(doc, change.name, (nestedDoc, nestedFieldName, field) => {
+      if (field) {
+        nestedDoc[nestedFieldName] = EJSON.clone(change[valueName]);
+      }
+    });
+    clearValidationErrors(doc, change.name);
+    changed(doc, change.name);
+  });
+  castNested({
+    doc
+  });
+  computeFields({
+    doc
+  });
+};
+
+// Moves entries from one stack to another one and applies changes of moved
+// entries. When the "toCheckpoint" flag is set, it moves entries until
+// reaching a checkpoint. Otherwise it moves a single entry.
+function moveEntries(doc, from, to, valueName, toCheckpoint) {
+  const history = getUndoHistory(doc);
+  const fromStack = history[from];
+  const toStack = history[to];
+  let moved = false;
+
+  // Checkpoints on the top of the stack are skipped.
+  while (fromStack.length > 0 && _.last(fromStack).checkpoint) {
+    toStack.push(fromStack.pop());
+  }
+  while (fromStack.length > 0 && !_.last(fromStack).checkpoint) {
+    const entry = fromStack.pop();
+    toStack.push(entry);
+    const changes = valueName === 'oldValue' ?
+      entry.changes.slice().reverse() : entry.changes;
+    applyChanges(doc, changes, valueName);
+    moved = true;
+    if (!toCheckpoint) {
+      break;
+    }
+  }
+
+  return moved;
+};
+
+function undo(doc, options = {}) {
+  return moveEntries(doc, 'undo', 'redo', 'oldValue', options.toCheckpoint);
+};
+
+function redo(doc, options = {}) {
+  return moveEntries(doc, 'redo', 'undo', 'newValue', options.toCheckpoint);
+};
+
+function canUndo(doc) {
+  return _.some(getUndoHistory(doc).undo, (entry) => !entry.checkpoint);
+};
+
+function canRedo(doc) {
+  return _.some(getUndoHistory(doc).redo, (entry) => !entry.checkpoint);
+};
+
+// Marks the current state of a document, so it can be restored by undoing or
+// redoing all the changes up to this point.
+function addCheckpoint(doc) {
+  const history = getUndoHistory(doc);
+  if (history.undo.length > 0 && !_.last(history.undo).checkpoint) {
+    history.undo.push({
+      checkpoint: true
+    });
+  }
+};
+
+function clearUndoHistory(doc) {
+  const history = getUndoHistory(doc);
+  history.undo = [];
+  history.redo = [];
+};
+
+export {
+  getUndoHistory,
+  recordChange,
+  batchChanges,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  addCheckpoint,
+  clearUndoHistory
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+import _ from 'lodash';
+import { dependErrors, changedErrors } from './reactivity.js';
+
+// Returns validation errors of a document stored by field paths. They are
+// stored in the not enumerable property, so they are not treated as document
+// values.
+function getStore(doc) {
+  if (!doc._validationErrors) {
+    Object.defineProperty(doc, '_validationErrors', {
+      writable: true,
+      enumerable: false,
+      value: {}
+    });
+  }
+  return doc._validationErrors;
+};
+
+// Checks whether an error of a field path is an error of a given field or of
+// any of its nested fields.
+function isErrorOf(errorName, name) {
+  return errorName === name || _.startsWith(errorName, name + '.');
+};
+
+// Removes errors of a field path and its nested fields. All errors are removed
+// when no path is given.
+function clearValidationErrors(doc, name) {
+  if (!doc._validationErrors) {
+    return;
+  }
+  const store = doc._validationErrors;
+  _.each(_.keys(store), (errorName) => {
+    if (name === undefined || isErrorOf(errorName, name)) {
+      delete store[errorName];
+      changedErrors(doc, errorName);
+    }
+  });
+};
+
+// Replaces errors of validated fields with errors found during validation.
+// When no fields are given, then all errors are replaced.
+function setValidationErrors(doc, fields, details = []) {
+  if (fields) {
+    _.each(fields, (name) => clearValidationErrors(doc, name));
+  }
+  else {
+    clearValidationErrors(doc);
+  }
+  const store = getStore(doc);
+  _.each(details, (errorDetails) => {
+    // Keep only the first error of a field.
+    if (!store[errorDetails.name]) {
+      store[errorDetails.name] = errorDetails;
+      changedErrors(doc, errorDetails.name);
+    }
+  });
+};
+
+function getValidationErrors(doc) {
+  dependErrors(doc);
+  return _.values(doc._validationErrors);
+};
+
+function getValidationError(doc, name) {
+  dependErrors(doc, name);
+  return doc._validationErrors && doc._validationErrors[name];
+};
+
+// Checks whether a document or a field path, including its nested fields, has
+// validation errors.
+function hasValidationErrors(doc, name) {
+  dependErrors(doc, name);
+  return _.some(_.keys(doc._validationErrors), (errorName) => {
+    return name === undefined || isErrorOf(errorName, name);
+  });
+};
+
+export {
+  setValidationErrors,
+  clearValidationErrors,
+  getValidationErrors,
+  getValidationError,
+  hasValidationErrors
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+import _ from 'lodash';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+import fieldsFromJSONSchema from '../utils/fields_from_json_schema.js';
+
+function fromJSONSchema(className, schema, options = {}) {
+  if (!Match.test(className, String)) {
+    throwParseError([
+      'The first argument of the "fromJSONSchema" method has to be a class ' +
+      'name'
+    ]);
+  }
+  if (!Match.test(schema, Object) || schema.type !== 'object') {
+    throwParseError([{
+        'class': className
+      }, {
+        'method': 'fromJSONSchema'
+      },
+      'JSON Schema has to describe an object'
+    ]);
+  }
+
+  // The "options" argument is the rest of the class definition like the
+  // collection, methods or events.
+  const definition = _.extend({}, options, {
+    name: className
+  });
+  definition.fields = _.extend(fieldsFromJSONSchema({
+    className,
+    schema
+  }), options.fields);
+
+  return this.create(definition);
+};
+
+export default fromJSONSchema;
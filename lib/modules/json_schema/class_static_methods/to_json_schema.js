@@ -0,0 +1,14 @@
+import _ from 'lodash';
+import classToJSONSchema from '../utils/class_to_json_schema.js';
+
+function toJSONSchema() {
+  const Class = this;
+
+  return _.extend({
+    $schema: 'http://json-schema.org/draft-07/schema#'
+  }, classToJSONSchema({
+    Class
+  }));
+};
+
+export default toJSONSchema;
@@ -0,0 +1,9 @@
+// Class static methods.
+import toJSONSchema from '../class_static_methods/to_json_schema.js';
+
+function onInitClass(Class, className) {
+  // Class static methods.
+  Class.toJSONSchema = toJSONSchema;
+};
+
+export default onInitClass;
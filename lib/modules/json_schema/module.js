@@ -0,0 +1,27 @@
+import Module from '../../core/module.js';
+import AstroClass from '../../core/class.js';
+// Class static methods.
+import fromJSONSchema from './class_static_methods/from_json_schema.js';
+// Utils.
+import classToJSONSchema from './utils/class_to_json_schema.js';
+import fieldsFromJSONSchema from './utils/fields_from_json_schema.js';
+import typeToJSONSchema from './utils/type_to_json_schema.js';
+import validatorsFromJSONSchema from './utils/validators_from_json_schema.js';
+import validatorsToJSONSchema from './utils/validators_to_json_schema.js';
+// Hooks.
+import onInitClass from './hooks/init_class.js';
+
+// The factory creating classes is available on the base class.
+AstroClass.fromJSONSchema = fromJSONSchema;
+
+Module.create({
+  name: 'jsonSchema',
+  onInitClass,
+  utils: {
+    classToJSONSchema,
+    fieldsFromJSONSchema,
+    typeToJSONSchema,
+    validatorsFromJSONSchema,
+    validatorsToJSONSchema
+  }
+});
@@ -0,0 +1,58 @@
+import _ from 'lodash';
+import ListField from '../../fields/list_field.js';
+import typeToJSONSchema from './type_to_json_schema.js';
+import validatorsToJSONSchema from './validators_to_json_schema.js';
+
+function classToJSONSchema({
+  Class,
+  stack = []
+}) {
+  stack = stack.concat(Class);
+
+  const schema = {
+    title: Class.getName(),
+    type: 'object',
+    properties: {}
+  };
+  const required = [];
+
+  _.each(Class.getFields(), (field) => {
+    // Transient fields are not stored, so they are not part of the schema.
+    if (field.transient) {
+      return;
+    }
+
+    let fieldSchema = typeToJSONSchema({
+      type: field.type,
+      classToJSONSchema,
+      stack
+    });
+    if (field instanceof ListField) {
+      fieldSchema = {
+        type: 'array',
+        items: fieldSchema
+      };
+    }
+    if (field.computed) {
+      fieldSchema.readOnly = true;
+    }
+    if (!_.isNil(field.default) && !_.isFunction(field.default)) {
+      fieldSchema.default = _.cloneDeep(field.default);
+    }
+    validatorsToJSONSchema(fieldSchema, Class.getValidators(field.name));
+
+    schema.properties[field.name] = fieldSchema;
+    // Fields with the optionality resolved at runtime are not required.
+    if (field.optional === false && !field.computed) {
+      required.push(field.name);
+    }
+  });
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  return schema;
+};
+
+export default classToJSONSchema;
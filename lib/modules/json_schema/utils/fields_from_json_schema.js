@@ -0,0 +1,181 @@
+import _ from 'lodash';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+import AstroClass from '../../../core/class.js';
+import Enum from '../../fields/enum.js';
+import { Mongo } from 'meteor/mongo';
+import validatorsFromJSONSchema from './validators_from_json_schema.js';
+
+const objectIDPattern = '^[0-9a-fA-F]{24}$';
+
+function getSchemaType(schema) {
+  // Nullable types like ["string", "null"] are treated as a single type.
+  if (_.isArray(schema.type)) {
+    const types = _.without(schema.type, 'null');
+    return types.length === 1 ? types[0] : undefined;
+  }
+  return schema.type;
+};
+
+function isNullable(schema) {
+  return _.includes(schema.enum, null) ||
+    _.includes(_.castArray(schema.type), 'null');
+};
+
+// Nested classes and enums are named after the path of a field, so different
+// field names can result in the same name, e.g. "home_address" and
+// "homeAddress".
+function throwIfNameExists({
+  exists,
+  name,
+  parseContext
+}) {
+  if (exists) {
+    throwParseError(_.union(parseContext, [
+      `Can not create "${name}" for the field, because it already exists`
+    ]));
+  }
+};
+
+function typeFromJSONSchema({
+  schema,
+  name,
+  parseContext
+}) {
+  if (_.has(schema, 'enum')) {
+    throwIfNameExists({
+      exists: _.has(Enum.enums, name),
+      name,
+      parseContext
+    });
+    // The "null" value only makes a field nullable, it's not an identifier.
+    const values = _.without(schema.enum, null);
+    return Enum.create({
+      name,
+      identifiers: _.zipObject(_.map(values, String), values)
+    });
+  }
+
+  switch (getSchemaType(schema)) {
+    case 'string':
+      if (schema.format === 'date-time' || schema.format === 'date') {
+        return Date;
+      }
+      if (schema.pattern === objectIDPattern) {
+        return Mongo.ObjectID;
+      }
+      return String;
+    case 'number':
+    case 'integer':
+      return Number;
+    case 'boolean':
+      return Boolean;
+    case 'object':
+      if (_.isEmpty(schema.properties)) {
+        return Object;
+      }
+      throwIfNameExists({
+        exists: AstroClass.has(name),
+        name,
+        parseContext
+      });
+      return AstroClass.create({
+        name,
+        fields: fieldsFromJSONSchema({
+          className: name,
+          schema
+        })
+      });
+  }
+
+  throwParseError(_.union(parseContext, [
+    'JSON Schema has to describe a value of a single type'
+  ]));
+};
+
+function fieldsFromJSONSchema({
+  className,
+  schema
+}) {
+  const fields = {};
+
+  _.each(schema.properties, (propertySchema, fieldName) => {
+    const parseContext = [{
+      'class': className
+    }, {
+      'property': 'fields'
+    }, {
+      'field': fieldName
+    }];
+    if (!Match.test(propertySchema, Object)) {
+      throwParseError(_.union(parseContext, [
+        'JSON Schema of a property has to be an object'
+      ]));
+    }
+    // Nested classes and enums are named after the path of a field.
+    const nestedName = className + _.upperFirst(_.camelCase(fieldName));
+
+    const fieldDefinition = {};
+    let validators;
+    if (getSchemaType(propertySchema) === 'array') {
+      const itemsSchema = propertySchema.items;
+      if (!Match.test(itemsSchema, Object)) {
+        throwParseError(_.union(parseContext, [
+          'JSON Schema of an array has to describe its items with an object'
+        ]));
+      }
+      fieldDefinition.type = [typeFromJSONSchema({
+        schema: itemsSchema,
+        name: nestedName,
+        parseContext
+      })];
+      validators = validatorsFromJSONSchema(propertySchema);
+      // Nested classes validate their own fields.
+      const itemsType = fieldDefinition.type[0];
+      if (!AstroClass.isParentOf(itemsType)) {
+        const itemsValidators = validatorsFromJSONSchema(
+          itemsType === Mongo.ObjectID ? _.omit(itemsSchema, 'pattern') :
+          itemsSchema
+        );
+        if (itemsValidators.length > 0) {
+          validators.push({
+            type: 'every',
+            param: itemsValidators
+          });
+        }
+      }
+    }
+    else {
+      fieldDefinition.type = typeFromJSONSchema({
+        schema: propertySchema,
+        name: nestedName,
+        parseContext
+      });
+      if (!AstroClass.isParentOf(fieldDefinition.type)) {
+        validators = validatorsFromJSONSchema(
+          fieldDefinition.type === Mongo.ObjectID ?
+          _.omit(propertySchema, 'pattern') : propertySchema
+        );
+      }
+    }
+
+    if (!_.isEmpty(validators)) {
+      fieldDefinition.validators = validators;
+    }
+    if (
+      !_.includes(schema.required, fieldName) || isNullable(propertySchema)
+    ) {
+      fieldDefinition.optional = true;
+    }
+    if (_.has(propertySchema, 'default')) {
+      const defaultValue = propertySchema.default;
+      fieldDefinition.default = _.isObject(defaultValue) ?
+        () => _.cloneDeep(defaultValue) : defaultValue;
+    }
+
+    fields[fieldName] = fieldDefinition;
+  });
+
+  return fields;
+};
+
+export default fieldsFromJSONSchema;
@@ -0,0 +1,61 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import Enum from '../../fields/enum.js';
+
+// JSON Schema counterparts of the built-in types.
+const builtInTypes = {
+  String: {
+    type: 'string'
+  },
+  Number: {
+    type: 'number'
+  },
+  Boolean: {
+    type: 'boolean'
+  },
+  Date: {
+    type: 'string',
+    format: 'date-time'
+  },
+  Object: {
+    type: 'object'
+  },
+  MongoObjectID: {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$'
+  }
+};
+
+function typeToJSONSchema({
+  type,
+  classToJSONSchema,
+  stack
+}) {
+  // Nested Astronomy class.
+  if (AstroClass.isParentOf(type.class)) {
+    // Do not go into an infinite loop for classes referencing themselves.
+    if (_.includes(stack, type.class)) {
+      return {
+        type: 'object'
+      };
+    }
+    return classToJSONSchema({
+      Class: type.class,
+      stack
+    });
+  }
+  // Enum.
+  if (_.has(Enum.enums, type.name)) {
+    const EnumClass = Enum.enums[type.name];
+    return {
+      enum: _.map(EnumClass.getIdentifiers(), (identifier) => {
+        return EnumClass[identifier];
+      })
+    };
+  }
+  // Built-in type. Custom types can not be described, so any value is
+  // accepted.
+  return _.cloneDeep(builtInTypes[type.name]) || {};
+};
+
+export default typeToJSONSchema;
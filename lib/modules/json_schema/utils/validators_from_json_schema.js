@@ -0,0 +1,104 @@
+import _ from 'lodash';
+
+// Functions creating validators from the JSON Schema keywords.
+const keywords = {
+  minLength(param) {
+    return {
+      type: 'minLength',
+      param
+    };
+  },
+  maxLength(param) {
+    return {
+      type: 'maxLength',
+      param
+    };
+  },
+  minItems(param) {
+    return keywords.minLength(param);
+  },
+  maxItems(param) {
+    return keywords.maxLength(param);
+  },
+  minimum(param) {
+    return {
+      type: 'gte',
+      param
+    };
+  },
+  maximum(param) {
+    return {
+      type: 'lte',
+      param
+    };
+  },
+  exclusiveMinimum(param) {
+    // Boolean values come from the draft-04 where they only modify the
+    // "minimum" keyword.
+    if (_.isNumber(param)) {
+      return {
+        type: 'gt',
+        param
+      };
+    }
+  },
+  exclusiveMaximum(param) {
+    if (_.isNumber(param)) {
+      return {
+        type: 'lt',
+        param
+      };
+    }
+  },
+  pattern(param) {
+    return {
+      type: 'regexp',
+      param: new RegExp(param)
+    };
+  },
+  format(param) {
+    if (param === 'email') {
+      return {
+        type: 'email'
+      };
+    }
+  },
+  const(param) {
+    return {
+      type: 'equal',
+      param
+    };
+  }
+};
+
+function validatorsFromJSONSchema(schema) {
+  const validators = [];
+
+  // Nullable integers like ["integer", "null"] are validated as well.
+  if (_.includes(_.castArray(schema.type), 'integer')) {
+    validators.push({
+      type: 'integer'
+    });
+  }
+  _.each(keywords, (createValidator, keyword) => {
+    if (!_.has(schema, keyword)) {
+      return;
+    }
+    // The draft-04 "exclusiveMinimum" and "exclusiveMaximum" keywords turn
+    // the "minimum" and "maximum" keywords into the exclusive ones.
+    if (keyword === 'minimum' && schema.exclusiveMinimum === true) {
+      createValidator = keywords.exclusiveMinimum;
+    }
+    else if (keyword === 'maximum' && schema.exclusiveMaximum === true) {
+      createValidator = keywords.exclusiveMaximum;
+    }
+    const validator = createValidator(schema[keyword]);
+    if (validator) {
+      validators.push(validator);
+    }
+  });
+
+  return validators;
+};
+
+export default validatorsFromJSONSchema;
@@ -0,0 +1,67 @@
+import _ from 'lodash';
+
+function isArraySchema(schema) {
+  return schema.type === 'array';
+};
+
+// Functions putting validator's param into the JSON Schema of a field.
+// Validators without a JSON Schema counterpart are skipped.
+const keywords = {
+  minLength(schema, param) {
+    schema[isArraySchema(schema) ? 'minItems' : 'minLength'] = param;
+  },
+  maxLength(schema, param) {
+    schema[isArraySchema(schema) ? 'maxItems' : 'maxLength'] = param;
+  },
+  length(schema, param) {
+    keywords.minLength(schema, param);
+    keywords.maxLength(schema, param);
+  },
+  gt(schema, param) {
+    schema.exclusiveMinimum = param;
+  },
+  gte(schema, param) {
+    schema.minimum = param;
+  },
+  lt(schema, param) {
+    schema.exclusiveMaximum = param;
+  },
+  lte(schema, param) {
+    schema.maximum = param;
+  },
+  regexp(schema, param) {
+    schema.pattern = param.source;
+  },
+  choice(schema, param) {
+    schema.enum = param;
+  },
+  email(schema) {
+    schema.format = 'email';
+  },
+  equal(schema, param) {
+    schema.const = param;
+  },
+  and(schema, param) {
+    validatorsToJSONSchema(schema, param);
+  },
+  every(schema, param) {
+    if (isArraySchema(schema)) {
+      schema.items = schema.items || {};
+      validatorsToJSONSchema(schema.items, param);
+    }
+  }
+};
+
+function validatorsToJSONSchema(schema, validators) {
+  _.each(validators, (validator) => {
+    // Params resolved at the validation time can not be described.
+    if (validator.resolveParam || !_.has(keywords, validator.type)) {
+      return;
+    }
+    keywords[validator.type](schema, validator.param);
+  });
+
+  return schema;
+};
+
+export default validatorsToJSONSchema;
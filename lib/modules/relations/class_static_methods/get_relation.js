@@ -0,0 +1,5 @@
+function getRelation(relationName) {
+  return this.schema.relations[relationName];
+};
+
+export default getRelation;
@@ -0,0 +1,5 @@
+function getRelations() {
+  return this.schema.relations;
+};
+
+export default getRelations;
@@ -0,0 +1,7 @@
+import _ from 'lodash';
+
+function hasRelation(relationName) {
+  return _.has(this.schema.relations, relationName);
+};
+
+export default hasRelation;
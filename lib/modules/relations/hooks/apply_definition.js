@@ -0,0 +1,43 @@
+import _ from 'lodash';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+import AstroClass from '../../../core/class.js';
+import createAccessor from '../utils/create_accessor.js';
+import getRelatedClass from '../utils/get_related_class.js';
+
+function onApplyDefinition(Class, parsedDefinition, className) {
+  const schema = Class.schema;
+
+  _.each(parsedDefinition.relations, function(relation, relationName) {
+    // Local key has to be a field of a given class.
+    if (!_.find(Class.getFields(), { name: relation.local })) {
+      throwParseError([{
+          'class': className
+        }, {
+          'relation': relationName
+        }, {
+          'field': relation.local
+        },
+        'Field does not exist'
+      ]);
+    }
+    // A relation can not override a field.
+    if (Class.hasField(relationName)) {
+      throwParseError([{
+          'class': className
+        }, {
+          'relation': relationName
+        },
+        'Field with the same name already exists'
+      ]);
+    }
+    // Check the related class right away if it's already defined.
+    if (!_.isString(relation.class) || AstroClass.has(relation.class)) {
+      getRelatedClass(Class, relation);
+    }
+
+    schema.relations[relationName] = relation;
+    Class.prototype[relationName] = createAccessor(relation);
+  });
+};
+
+export default onApplyDefinition;
@@ -0,0 +1,13 @@
+// Class static methods.
+import getRelation from '../class_static_methods/get_relation.js';
+import getRelations from '../class_static_methods/get_relations.js';
+import hasRelation from '../class_static_methods/has_relation.js';
+
+function onInitClass(Class, className) {
+  // Class static methods.
+  Class.getRelation = getRelation;
+  Class.getRelations = getRelations;
+  Class.hasRelation = hasRelation;
+};
+
+export default onInitClass;
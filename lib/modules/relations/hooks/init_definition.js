@@ -0,0 +1,5 @@
+function onInitDefinition(definition, className) {
+  definition.relations = {};
+};
+
+export default onInitDefinition;
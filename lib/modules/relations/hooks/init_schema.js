@@ -0,0 +1,5 @@
+function onInitSchema(schema, className) {
+  schema.relations = {};
+};
+
+export default onInitSchema;
@@ -0,0 +1,9 @@
+import _ from 'lodash';
+
+function onMergeDefinitions(targetDefinition, sourceDefinition, className) {
+  _.each(sourceDefinition.relations, function(relation, relationName) {
+    targetDefinition.relations[relationName] = relation;
+  });
+};
+
+export default onMergeDefinitions;
@@ -0,0 +1,75 @@
+import _ from 'lodash';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+import reservedKeywords from '../../../core/reserved_keywords.js';
+
+const relationTypes = ['belongsTo', 'hasMany', 'hasOne'];
+
+const relationDefinitionPattern = {
+  type: Match.Where((type) => _.includes(relationTypes, type)),
+  class: Match.OneOf(String, Function),
+  local: Match.Optional(String),
+  foreign: Match.Optional(String)
+};
+
+function onParseDefinition(parsedDefinition, definition, className) {
+  // Check existence and validity of the "relations" property.
+  if (definition.relations === undefined) {
+    return;
+  }
+
+  if (!Match.test(definition.relations, Object)) {
+    throwParseError([{
+        'class': className
+      }, {
+        'property': 'relations'
+      },
+      'Relations definition has to be an object'
+    ]);
+  }
+
+  _.each(definition.relations, function(relationDefinition, relationName) {
+    if (!Match.test(relationDefinition, relationDefinitionPattern)) {
+      throwParseError([{
+          'class': className
+        }, {
+          'relation': relationName
+        },
+        'Relation definition has to be an object with the "type" property ' +
+        'being one of "' + relationTypes.join('", "') + '" and the "class" ' +
+        'property being a class or a class name'
+      ]);
+    }
+
+    // Check if a relation name is not reserved keyword.
+    if (_.includes(reservedKeywords, relationName)) {
+      throwParseError([{
+          'class': className
+        }, {
+          'relation': relationName
+        },
+        'Reserved keyword'
+      ]);
+    }
+
+    // The "belongsTo" relation stores a foreign key in a given class and the
+    // other relations store it in the related class.
+    let relation;
+    if (relationDefinition.type === 'belongsTo') {
+      relation = _.extend({
+        local: relationName + 'Id',
+        foreign: '_id'
+      }, relationDefinition);
+    }
+    else {
+      relation = _.extend({
+        local: '_id',
+        foreign: _.camelCase(className) + 'Id'
+      }, relationDefinition);
+    }
+    relation.name = relationName;
+
+    parsedDefinition.relations[relationName] = relation;
+  });
+};
+
+export default onParseDefinition;
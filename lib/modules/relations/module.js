@@ -0,0 +1,25 @@
+import Module from '../../core/module.js';
+// Utils.
+import createAccessor from './utils/create_accessor.js';
+import getRelatedClass from './utils/get_related_class.js';
+// Hooks.
+import onInitSchema from './hooks/init_schema.js';
+import onInitDefinition from './hooks/init_definition.js';
+import onParseDefinition from './hooks/parse_definition.js';
+import onMergeDefinitions from './hooks/merge_definitions.js';
+import onApplyDefinition from './hooks/apply_definition.js';
+import onInitClass from './hooks/init_class.js';
+
+Module.create({
+  name: 'relations',
+  onInitSchema,
+  onInitDefinition,
+  onParseDefinition,
+  onMergeDefinitions,
+  onApplyDefinition,
+  onInitClass,
+  utils: {
+    createAccessor,
+    getRelatedClass
+  }
+});
@@ -0,0 +1,41 @@
+import _ from 'lodash';
+import getRelatedClass from './get_related_class.js';
+
+function createAccessor(relation) {
+  const {
+    type,
+    local,
+    foreign
+  } = relation;
+
+  return function(selector, options) {
+    const doc = this;
+    const RelatedClass = getRelatedClass(doc.constructor, relation);
+    const value = doc[local];
+
+    // There is nothing to look for when the local key is not set. Looking for
+    // it would match documents without the foreign key.
+    if (_.isNil(value)) {
+      if (type === 'hasMany') {
+        return RelatedClass.find(_.extend({}, selector, {
+          _id: {
+            $in: []
+          }
+        }), options);
+      }
+      return;
+    }
+
+    // Look for related documents by the value of the local key.
+    selector = _.extend({}, selector, {
+      [foreign]: value
+    });
+
+    if (type === 'hasMany') {
+      return RelatedClass.find(selector, options);
+    }
+    return RelatedClass.findOne(selector, options);
+  };
+};
+
+export default createAccessor;
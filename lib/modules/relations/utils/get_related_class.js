@@ -0,0 +1,37 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+
+function getRelatedClass(Class, relation) {
+  const RelatedClass = _.isString(relation.class) ?
+    AstroClass.get(relation.class) : relation.class;
+
+  // A related class may be defined after a class declaring a relation, so we
+  // can only check its existence when it's needed.
+  if (!AstroClass.isParentOf(RelatedClass)) {
+    throwParseError([{
+        'class': Class.getName()
+      }, {
+        'relation': relation.name
+      },
+      'Related class does not exist'
+    ]);
+  }
+
+  // Foreign key has to be a field of the related class.
+  if (!_.find(RelatedClass.getFields(), { name: relation.foreign })) {
+    throwParseError([{
+        'class': Class.getName()
+      }, {
+        'relation': relation.name
+      }, {
+        'field': relation.foreign
+      },
+      `Field does not exist in the "${RelatedClass.getName()}" class`
+    ]);
+  }
+
+  return RelatedClass;
+};
+
+export default getRelatedClass;
@@ -12,6 +12,16 @@ function beforeInit(e) {
 		});
 	}
 	doc._isNew = true;
+
+	// Create the "_snapshot" property for storing raw values of a document as
+	// they are in a database. It's used for detecting modifications.
+	if (Object.defineProperty) {
+		Object.defineProperty(doc, '_snapshot', {
+			writable: true,
+			enumerable: false
+		});
+	}
+	doc._snapshot = undefined;
 };
 
 export default beforeInit;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import _ from 'lodash';
+import isRemote from '../utils/is_remote.js';
+
+function getHistory(options = {}) {
+  const doc = this;
+  const Class = doc.constructor;
+
+  if (!Class.schema.history) {
+    throw new Error(
+      `The "${Class.getName()}" class does not keep history of changes`
+    );
+  }
+
+  // Collections of history entries are not published, so the history can only
+  // be read on the server or when a class uses a local collection.
+  if (isRemote(Class)) {
+    throw new Error(
+      `The history of the "${Class.getName()}" class can only be read on ` +
+      `the server`
+    );
+  }
+
+  const entries = Class.schema.history.collection.find({
+    docId: doc._id
+  }, _.extend({
+    sort: {
+      createdAt: 1
+    }
+  }, options)).fetch();
+
+  return _.map(entries, (entry) => {
+    return _.extend(entry, {
+      modifier: entry.modifier ? EJSON.parse(entry.modifier) : null
+    });
+  });
+};
+
+export default getHistory;
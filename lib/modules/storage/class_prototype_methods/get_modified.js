@@ -1,11 +1,16 @@
 import utilGetModified from '../utils/get_modified.js';
+import { dependModified } from '../../fields/utils/reactivity.js';
 
-function getModified() {
+function getModified(options = {}) {
 	let doc = this;
 
+	// Reactive documents rerun computations when any field is modified.
+	dependModified(doc);
+
 	return utilGetModified({
 		doc,
-		transient: true
+		transient: true,
+		snapshot: options.snapshot
 	});
 };
 
@@ -1,6 +1,7 @@
 import _ from 'lodash';
 import utilGetModified from '../utils/get_modified.js';
 import rawOne from '../../fields/utils/raw_one.js';
+import { getSnapshotDoc } from '../utils/snapshot.js';
 
 function getModifiedValues(options = {}) {
   let {
@@ -17,9 +18,14 @@ function getModifiedValues(options = {}) {
     transient: true
   });
 
-  // Get old or new values of a document.
+  // Get old or new values of a document. Old values are taken from the
+  // snapshot if it exists, otherwise from the stored document, even if it's
+  // filtered out by default, e.g. when it's soft removed.
   if (old) {
-    doc = doc._isNew ? new Class() : Class.findOne(doc._id);
+    doc = doc._isNew ? new Class() :
+      getSnapshotDoc(doc) || Class.findOne(doc._id, {
+        withRemoved: true
+      });
   }
 
   // Collect values for each field.
@@ -1,10 +1,11 @@
 import utilGetModifier from '../utils/get_modifier.js';
 
-function getModifier() {
+function getModifier(options = {}) {
 	let doc = this;
 
 	return utilGetModifier({
-		doc
+		doc,
+		snapshot: options.snapshot
 	});
 };
 
@@ -0,0 +1,9 @@
+import { getSnapshotDoc } from '../utils/snapshot.js';
+
+function getSnapshot() {
+	let doc = this;
+
+	return getSnapshotDoc(doc);
+};
+
+export default getSnapshot;
\ No newline at end of file
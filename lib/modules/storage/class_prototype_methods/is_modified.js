@@ -1,12 +1,17 @@
 import utilIsModified from '../utils/is_modified.js';
+import { dependModified } from '../../fields/utils/reactivity.js';
 
-function isModified(pattern) {
+function isModified(pattern, options = {}) {
 	let doc = this;
 
+	// Reactive documents rerun computations when a field is modified.
+	dependModified(doc, pattern);
+
 	return utilIsModified({
 		doc,
 		pattern,
-		transient: true
+		transient: true,
+		snapshot: options.snapshot
 	});
 };
 
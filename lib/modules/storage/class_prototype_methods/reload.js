@@ -1,7 +1,10 @@
 import _ from 'lodash';
 import setDefaults from '../../fields/utils/set_defaults.js';
 import castNested from '../../fields/utils/cast_nested.js';
+import computeFields from '../../fields/utils/compute_fields.js';
 import Event from '../../events/event.js';
+import { setSnapshot } from '../utils/snapshot.js';
+import { changed } from '../../fields/utils/reactivity.js';
 
 function reload() {
 	const doc = this;
@@ -9,9 +12,11 @@ function reload() {
 
 	// The document has to be already saved in the collection.
 	if (!doc._isNew) {
-		// Get a document from the collection without transformation.
+		// Get a document from the collection without transformation, even if
+		// it's filtered out by default, e.g. when it's soft removed.
 		const rawDoc = Class.findOne(doc._id, {
-			transform: null
+			transform: null,
+			withRemoved: true
 		});
 
 		// Trigger the "beforeInit" event handlers.
@@ -31,12 +36,20 @@ function reload() {
     castNested({
       doc
     });
+    // Compute values of the computed fields.
+    computeFields({
+      doc
+    });
 
 		// Trigger the "afterInit" event handlers.
 		doc.dispatchEvent(new Event('afterInit'));
 
 		// Mark the document as not new.
 		doc._isNew = false;
+		// Remember values fetched from the database.
+		setSnapshot(doc, rawDoc);
+		// Invalidate computations depending on any field.
+		changed(doc);
 	}
 };
 
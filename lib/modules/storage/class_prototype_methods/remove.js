@@ -1,6 +1,7 @@
 import documentRemove from '../utils/document_remove.js';
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 
 function remove(args = {}, callback) {
   let doc = this;
@@ -19,7 +20,7 @@ function remove(args = {}, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    let methodName = '/Astronomy/remove';
+    let methodName = getMeteorMethodName(Class, 'remove');
     // Prepare arguments for the meteor method.
     let methodArgs = {
       className: Class.getName(),
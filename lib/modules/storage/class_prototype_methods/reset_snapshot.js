@@ -0,0 +1,10 @@
+import { takeSnapshot } from '../utils/snapshot.js';
+
+function resetSnapshot() {
+	let doc = this;
+
+	// Treat the current state of a document as not modified.
+	takeSnapshot(doc);
+};
+
+export default resetSnapshot;
\ No newline at end of file
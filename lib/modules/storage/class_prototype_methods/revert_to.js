@@ -0,0 +1,65 @@
+import rawAll from '../../fields/utils/raw_all.js';
+import setAll from '../../fields/utils/set_all.js';
+import { replayRevisions } from '../utils/revisions.js';
+import isRemote from '../utils/is_remote.js';
+
+function revertTo(revisionId, args = {}, callback) {
+  const doc = this;
+  const Class = doc.constructor;
+
+  // If the second argument is callback function then reassign values.
+  if (arguments.length === 2 && Match.test(args, Function)) {
+    callback = args;
+    args = {};
+  }
+
+  if (!Class.schema.revisions) {
+    throw new Error(
+      `The "${Class.getName()}" class does not keep revisions`
+    );
+  }
+
+  // Collections of revisions are not published, so revisions can only be read
+  // on the server or when a class uses a local collection.
+  if (isRemote(Class)) {
+    throw new Error(
+      `Revisions of the "${Class.getName()}" class can only be read on the ` +
+      `server`
+    );
+  }
+
+  const revision = Class.schema.revisions.collection.findOne({
+    _id: revisionId,
+    docId: doc._id
+  });
+  if (!revision) {
+    throw new Meteor.Error(
+      404, `There is no "${revisionId}" revision of the document`
+    );
+  }
+
+  // Reconstruct a document from revisions up to the given one.
+  const revisionDoc = replayRevisions({
+    Class,
+    id: doc._id,
+    selector: {
+      number: {
+        $lte: revision.number
+      }
+    }
+  });
+
+  // The version of a document can not be reverted, because it's used to
+  // detect concurrent modifications.
+  const versionField = Class.schema.versionField;
+  const version = versionField && doc[versionField];
+  setAll(doc, rawAll(revisionDoc));
+  if (versionField) {
+    doc[versionField] = version;
+  }
+
+  // Save a document, so validation and events are run.
+  return doc.save(args, callback);
+};
+
+export default revertTo;
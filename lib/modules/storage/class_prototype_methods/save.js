@@ -3,9 +3,16 @@ import documentInsert from '../utils/document_insert.js';
 import documentUpdate from '../utils/document_update.js';
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 import rawAll from '../../fields/utils/raw_all.js';
 import castNested from '../../fields/utils/cast_nested.js';
 import getModifier from '../../storage/utils/get_modifier.js';
+import {
+  takeSnapshot,
+  applySnapshotModifier
+} from '../utils/snapshot.js';
+import { setValidationErrors } from '../../fields/utils/validation_errors.js';
+import { ValidationError } from 'meteor/mdg:validation-error';
 
 function save(args = {}, callback) {
   const doc = this;
@@ -30,11 +37,15 @@ function save(args = {}, callback) {
 
   // Detect which operation we are executing.
   const inserting = doc._isNew;
+  // Get the version field of versioned classes.
+  const versionField = Class.schema.versionField;
 
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    const methodName = '/Astronomy/' + (inserting ? 'insert' : 'update');
+    const methodName = getMeteorMethodName(
+      Class, inserting ? 'insert' : 'update'
+    );
     // Prepare arguments for meteor method.
     const methodArgs = {
       className: Class.getName(),
@@ -61,17 +72,57 @@ function save(args = {}, callback) {
         options: {},
         fields
       });
+      // Send a version of the document to detect concurrent modifications.
+      if (versionField) {
+        methodArgs.version = doc[versionField];
+      }
     }
 
+    // The Meteor method validates a copy of a document, so we have to store
+    // validation errors on the document ourselves. All fields are validated
+    // when inserting.
+    const validatedFields = inserting ? undefined : fields;
+    const storeErrors = (err) => {
+      if (!err) {
+        setValidationErrors(doc, validatedFields);
+      }
+      else if (ValidationError.is(err)) {
+        setValidationErrors(doc, validatedFields, err.details);
+      }
+    };
+
     try {
       // Run Meteor method.
       const result = callMeteorMethod(
-        Class, methodName, [methodArgs], callback
+        Class, methodName, [methodArgs], callback && ((err, result) => {
+          storeErrors(err);
+          callback(err, result);
+        })
       );
+      // Without a callback we only know the result of the simulation.
+      if (!callback && simulation !== false) {
+        storeErrors();
+      }
       if (result && inserting) {
         // In the insert operation the value return from the meteor method is
         // a document ID.
         doc._id = result;
+        // Remember values saved by the stub.
+        takeSnapshot(doc);
+      }
+      else if (result) {
+        let modifier = methodArgs.modifier;
+        if (versionField) {
+          // The stub has increased the version of a document.
+          doc[versionField] = (doc[versionField] || 0) + 1;
+          modifier = _.extend({}, modifier, {
+            $inc: {
+              [versionField]: 1
+            }
+          });
+        }
+        // Apply changes saved by the stub to the snapshot.
+        applySnapshotModifier(doc, modifier);
       }
       // A document is not new anymore.
       doc._isNew = false;
@@ -79,6 +130,7 @@ function save(args = {}, callback) {
     }
     // Catch stub exceptions.
     catch (err) {
+      storeErrors(err);
       if (callback) {
         callback(err);
         return null;
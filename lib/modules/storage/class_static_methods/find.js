@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import transformToClass from '../utils/transform_to_class.js';
+import transformWithIncludes from '../utils/transform_with_includes.js';
 import Event from '../../events/event.js';
 
 function createMethod(methodName) {
@@ -13,6 +14,7 @@ function createMethod(methodName) {
     _.defaults(options, {
       defaults: true,
       children: true,
+      snapshot: true
     });
 
     // Modify selector and options using the "beforeFind" event handlers.
@@ -50,12 +52,28 @@ function createMethod(methodName) {
     // Get default transform function if none is provided.
     if (options.transform === undefined) {
       options.transform = transformToClass(Class.getName(), {
-        defaults: options.defaults
+        defaults: options.defaults,
+        snapshot: options.snapshot
       });
     }
+    // Preload documents referenced by fields listed in the "include" option.
+    let includes;
+    if (options.include && _.isFunction(options.transform)) {
+      includes = transformWithIncludes({
+        Class,
+        options,
+        transform: options.transform
+      });
+      options.transform = includes.transform;
+    }
 
-    // Execute the original method.
-    let result = Collection[methodName](selector, options);
+    // Execute the original method. The "snapshot" option is removed because
+    // MongoDB has its own cursor option of this name.
+    let result = Collection[methodName](selector, _.omit(options, 'snapshot'));
+    // Load referenced documents of all fetched documents together.
+    if (includes && methodName === 'find') {
+      includes.wrapCursor(result);
+    }
 
     // Modify a query result using the "afterFind" event handlers.
     if (!options.disableEvents) {
@@ -0,0 +1,34 @@
+import { replayRevisions } from '../utils/revisions.js';
+import isRemote from '../utils/is_remote.js';
+
+function getRevision(id, at = new Date()) {
+  const Class = this;
+
+  if (!Class.schema.revisions) {
+    throw new Error(
+      `The "${Class.getName()}" class does not keep revisions`
+    );
+  }
+
+  // Collections of revisions are not published, so revisions can only be read
+  // on the server or when a class uses a local collection.
+  if (isRemote(Class)) {
+    throw new Error(
+      `Revisions of the "${Class.getName()}" class can only be read on the ` +
+      `server`
+    );
+  }
+
+  // Reconstruct a document from revisions created up to the given date.
+  return replayRevisions({
+    Class,
+    id,
+    selector: {
+      createdAt: {
+        $lte: at
+      }
+    }
+  });
+};
+
+export default getRevision;
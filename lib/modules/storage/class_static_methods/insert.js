@@ -1,5 +1,6 @@
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 import classInsert from '../utils/class_insert.js';
 
 function insert(plainDoc, callback) {
@@ -14,7 +15,7 @@ function insert(plainDoc, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    const methodName = '/Astronomy/insert';
+    const methodName = getMeteorMethodName(Class, 'insert');
 
     try {
       // Run Meteor method.
@@ -0,0 +1,65 @@
+import isRemote from '../utils/is_remote.js';
+import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
+import classInsertMany from '../utils/class_insert_many.js';
+
+function insertMany(plainDocs, options, callback) {
+  const Class = this;
+
+  // If we omit options argument then it may be a callback function.
+  if (options instanceof Function) {
+    callback = options;
+    options = {};
+  }
+  // Make sure that options is at least an empty object.
+  options = options || {};
+  // Prepare arguments.
+  const args = {
+    className: Class.getName(),
+    plainDocs,
+    stopOnFirstError: options.stopOnFirstError
+  };
+
+  // If we are dealing with a remote collection and we are not on the server.
+  if (isRemote(Class)) {
+    // Prepare meteor method name to be called.
+    const methodName = getMeteorMethodName(Class, 'insertMany');
+
+    try {
+      // Run Meteor method.
+      return callMeteorMethod(
+        Class, methodName, [args], callback
+      );
+    }
+    // Catch stub exceptions.
+    catch (err) {
+      if (callback) {
+        callback(err);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // If we can just insert documents without calling the meteor method. We may
+  // be on the server or the collection may be local.
+  try {
+    // Set the "trusted" argument to true.
+    args.trusted = true;
+    // Insert documents.
+    let result = classInsertMany(args);
+    if (callback) {
+      callback(undefined, result);
+    }
+    return result;
+  }
+  catch (err) {
+    if (callback) {
+      callback(err);
+      return null;
+    }
+    throw err;
+  }
+}
+
+export default insertMany;
\ No newline at end of file
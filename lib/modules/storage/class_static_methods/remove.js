@@ -1,5 +1,6 @@
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 import classRemove from '../utils/class_remove.js';
 
 function remove(selector, options, callback) {
@@ -22,7 +23,7 @@ function remove(selector, options, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    const methodName = '/Astronomy/remove';
+    const methodName = getMeteorMethodName(Class, 'remove');
 
     try {
       // Run Meteor method.
@@ -1,5 +1,6 @@
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 import classUpdate from '../utils/class_update.js';
 
 function update(selector, modifier, options, callback) {
@@ -23,7 +24,7 @@ function update(selector, modifier, options, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    const methodName = '/Astronomy/update';
+    const methodName = getMeteorMethodName(Class, 'update');
 
     try {
       // Run Meteor method.
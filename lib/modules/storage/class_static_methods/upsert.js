@@ -1,5 +1,6 @@
 import isRemote from '../utils/is_remote.js';
 import callMeteorMethod from '../utils/call_meteor_method.js';
+import getMeteorMethodName from '../utils/get_meteor_method_name.js';
 import classUpsert from '../utils/class_upsert.js';
 
 function upsert(selector, modifier, options, callback) {
@@ -23,7 +24,7 @@ function upsert(selector, modifier, options, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (isRemote(Class)) {
     // Prepare meteor method name to be called.
-    const methodName = '/Astronomy/upsert';
+    const methodName = getMeteorMethodName(Class, 'upsert');
 
     try {
       // Run Meteor method.
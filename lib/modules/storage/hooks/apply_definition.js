@@ -1,12 +1,24 @@
 import _ from 'lodash';
 // Utils.
-import hasMeteorMethod from '../utils/has_meteor_method.js';
+import registerMeteorMethods from '../utils/register_meteor_methods.js';
+import createAsyncMethod from '../utils/create_async_method.js';
+import {
+  getDefaultHistoryCollection,
+  writeHistoryEntry
+} from '../utils/history.js';
+import {
+  getDefaultRevisionsCollection,
+  ensureRevisionsIndex,
+  writeRevision
+} from '../utils/revisions.js';
 // Class static methods.
 import { find, findOne } from '../class_static_methods/find.js';
 import insert from '../class_static_methods/insert.js';
+import insertMany from '../class_static_methods/insert_many.js';
 import update from '../class_static_methods/update.js';
 import upsert from '../class_static_methods/upsert.js';
 import remove from '../class_static_methods/remove.js';
+import getRevision from '../class_static_methods/get_revision.js';
 // Class prototype methods.
 import protoSave from '../class_prototype_methods/save.js';
 import protoRemove from '../class_prototype_methods/remove.js';
@@ -16,8 +28,13 @@ import protoGetModifier from '../class_prototype_methods/get_modifier.js';
 import protoGetModified from '../class_prototype_methods/get_modified.js';
 import protoGetModifiedValues from '../class_prototype_methods/get_modified_values.js';
 import protoIsModified from '../class_prototype_methods/is_modified.js';
+import protoGetSnapshot from '../class_prototype_methods/get_snapshot.js';
+import protoResetSnapshot from '../class_prototype_methods/reset_snapshot.js';
+import protoGetHistory from '../class_prototype_methods/get_history.js';
+import protoRevertTo from '../class_prototype_methods/revert_to.js';
 // Meteor methods.
 import meteorInsert from '../meteor_methods/insert.js';
+import meteorInsertMany from '../meteor_methods/insert_many.js';
 import meteorUpdate from '../meteor_methods/update.js';
 import meteorUpsert from '../meteor_methods/upsert.js';
 import meteorRemove from '../meteor_methods/remove.js';
@@ -27,9 +44,33 @@ import afterInit from '../class_events/after_init.js';
 import fromJSONValue from '../class_events/from_json_value.js';
 import toJSONValue from '../class_events/to_json_value.js';
 
+// Adds the handler of the given events using the events API. A child class
+// gets handlers of its parent together with the parent definition, so they are
+// not added for the second time.
+function addEventHandler(Class, eventsNames, eventHandler) {
+  const Parent = Class.getParent();
+  const events = {};
+  _.each(eventsNames, (eventName) => {
+    const isAdded = _.includes(Class.schema.events[eventName], eventHandler) ||
+      Parent && _.includes(Parent.definition.events[eventName], eventHandler);
+    if (!isAdded) {
+      events[eventName] = [eventHandler];
+    }
+  });
+  if (!_.isEmpty(events)) {
+    Class.extend({
+      events
+    }, ['events']);
+  }
+};
+
 function onApplyDefinition(Class, parsedDefinition, className) {
   const schema = Class.schema;
 
+  if (parsedDefinition.namedMethods !== undefined) {
+    schema.namedMethods = parsedDefinition.namedMethods;
+  }
+
   if (parsedDefinition.collection) {
     const Collection = schema.collection = parsedDefinition.collection;
     const id = Collection._makeNewID();
@@ -51,41 +92,32 @@ function onApplyDefinition(Class, parsedDefinition, className) {
       }
     }, ['fields', 'events']);
 
-    // If it's a remote collection then we register methods on the connection
-    // object of the collection.
-    const connection = Collection._connection;
-    if (connection) {
-      // Prepare meteor methods to be added.
-      const meteorMethods = {
-        '/Astronomy/insert': meteorInsert,
-        '/Astronomy/update': meteorUpdate,
-        '/Astronomy/upsert': meteorUpsert,
-        '/Astronomy/remove': meteorRemove,
-      };
-      _.each(meteorMethods, (meteorMethod, methodName) => {
-        if (!hasMeteorMethod(connection, methodName)) {
-          // Add meteor method.
-          connection.methods(_.zipObject([methodName], [meteorMethod]));
-        }
-      });
-    }
-
     // Class static methods.
     Class.find = find;
     Class.findOne = findOne;
     Class.insert = insert;
+    Class.insertMany = insertMany;
     Class.update = update;
     Class.upsert = upsert;
     Class.remove = remove;
+    Class.insertAsync = createAsyncMethod('insert', 1);
+    Class.insertManyAsync = createAsyncMethod('insertMany', 2);
+    Class.updateAsync = createAsyncMethod('update', 3);
+    Class.upsertAsync = createAsyncMethod('upsert', 3);
+    Class.removeAsync = createAsyncMethod('remove', 2);
     // Class prototype methods.
     Class.prototype.save = protoSave;
     Class.prototype.remove = protoRemove;
+    Class.prototype.saveAsync = createAsyncMethod('save', 1);
+    Class.prototype.removeAsync = createAsyncMethod('remove', 1);
     Class.prototype.reload = protoReload;
     Class.prototype.copy = protoCopy;
     Class.prototype.getModifier = protoGetModifier;
     Class.prototype.getModified = protoGetModified;
     Class.prototype.getModifiedValues = protoGetModifiedValues;
     Class.prototype.isModified = protoIsModified;
+    Class.prototype.getSnapshot = protoGetSnapshot;
+    Class.prototype.resetSnapshot = protoResetSnapshot;
   }
 
   // Apply type field.
@@ -108,6 +140,24 @@ function onApplyDefinition(Class, parsedDefinition, className) {
     }
   }
 
+  // Apply version field.
+  if (parsedDefinition.versioned) {
+    const versionField = schema.versionField =
+      _.isString(parsedDefinition.versioned) ?
+      parsedDefinition.versioned : 'version';
+    Class.extend({
+      // Add the version field. It's immutable because its value is only
+      // increased while updating a document.
+      fields: {
+        [versionField]: {
+          type: Number,
+          default: 0,
+          immutable: true
+        }
+      }
+    }, ['fields']);
+  }
+
   // If class has already assigned collection.
   const Collection = Class.getCollection();
   if (Collection) {
@@ -125,6 +175,61 @@ function onApplyDefinition(Class, parsedDefinition, className) {
     if (parsedDefinition.secured !== undefined) {
       _.extend(schema.secured, parsedDefinition.secured);
     }
+
+    // Add the allow and deny rules.
+    _.each(['allow', 'deny'], (rulesType) => {
+      _.each(parsedDefinition[rulesType], (rules, operation) => {
+        schema[rulesType][operation] = _.concat(
+          schema[rulesType][operation], rules
+        );
+      });
+    });
+
+    // Keep history of changes.
+    if (parsedDefinition.history) {
+      schema.history = {
+        collection: parsedDefinition.history instanceof Mongo.Collection ?
+          parsedDefinition.history : getDefaultHistoryCollection(Collection)
+      };
+      addEventHandler(
+        Class, ['afterinsert', 'afterupdate', 'afterremove'], writeHistoryEntry
+      );
+      Class.prototype.getHistory = protoGetHistory;
+    }
+    else if (parsedDefinition.history === false) {
+      schema.history = undefined;
+    }
+
+    // Keep revisions of a document.
+    if (parsedDefinition.revisions) {
+      const revisions = parsedDefinition.revisions;
+      schema.revisions = {
+        collection: revisions instanceof Mongo.Collection ?
+          revisions : getDefaultRevisionsCollection(Collection)
+      };
+      ensureRevisionsIndex(schema.revisions.collection);
+      addEventHandler(Class, ['afterinsert', 'afterupdate'], writeRevision);
+      Class.getRevision = getRevision;
+      Class.prototype.revertTo = protoRevertTo;
+    }
+    else if (parsedDefinition.revisions === false) {
+      schema.revisions = undefined;
+    }
+
+    // If it's a remote collection then we register methods on the connection
+    // object of the collection. It's done for every applied definition, not
+    // only the one assigning a collection, so the per class methods are also
+    // registered when the "namedMethods" option is turned on by extending.
+    const connection = Collection._connection;
+    if (connection) {
+      registerMeteorMethods(Class, connection, {
+        insert: meteorInsert,
+        insertMany: meteorInsertMany,
+        update: meteorUpdate,
+        upsert: meteorUpsert,
+        remove: meteorRemove
+      });
+    }
   }
 };
 
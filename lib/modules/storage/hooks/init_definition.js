@@ -3,6 +3,12 @@ function onInitDefinition(definition, className) {
   definition.typeField = undefined;
   definition.transform = undefined;
   definition.secured = undefined;
+  definition.namedMethods = undefined;
+  definition.versioned = undefined;
+  definition.history = undefined;
+  definition.revisions = undefined;
+  definition.allow = {};
+  definition.deny = {};
 };
 
 export default onInitDefinition;
\ No newline at end of file
@@ -5,6 +5,20 @@ function onInitSchema(schema, className) {
   schema.secured = {
     common: true
   };
+  schema.namedMethods = false;
+  schema.versionField = undefined;
+  schema.history = undefined;
+  schema.revisions = undefined;
+  schema.allow = {
+    insert: [],
+    update: [],
+    remove: []
+  };
+  schema.deny = {
+    insert: [],
+    update: [],
+    remove: []
+  };
 };
 
 export default onInitSchema;
\ No newline at end of file
@@ -17,6 +17,25 @@ function onMergeDefinitions(targetDefinition, sourceDefinition, ClassName) {
       sourceDefinition.secured
     );
   }
+  if (sourceDefinition.namedMethods !== undefined) {
+    targetDefinition.namedMethods = sourceDefinition.namedMethods;
+  }
+  if (sourceDefinition.versioned !== undefined) {
+    targetDefinition.versioned = sourceDefinition.versioned;
+  }
+  if (sourceDefinition.history !== undefined) {
+    targetDefinition.history = sourceDefinition.history;
+  }
+  if (sourceDefinition.revisions !== undefined) {
+    targetDefinition.revisions = sourceDefinition.revisions;
+  }
+  _.each(['allow', 'deny'], (rulesType) => {
+    _.each(sourceDefinition[rulesType], (rules, operation) => {
+      targetDefinition[rulesType][operation] = _.concat(
+        targetDefinition[rulesType][operation] || [], rules
+      );
+    });
+  });
 };
 
 export default onMergeDefinitions;
\ No newline at end of file
@@ -69,6 +69,99 @@ function onParseDefinition(parsedDefinition, definition, className) {
       parsedDefinition.secured = definition.secured;
     }
   }
+
+  // Check existence and validity of the "versioned" property.
+  if (definition.versioned !== undefined) {
+    // The "versioned" property has to be a boolean or a version field name.
+    if (!Match.test(definition.versioned, Match.OneOf(Boolean, String))) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'versioned'
+        },
+        'Property value has to be a boolean or a string'
+      ]);
+    }
+    parsedDefinition.versioned = definition.versioned;
+  }
+
+  // Check existence and validity of the "history" property.
+  if (definition.history !== undefined) {
+    // The "history" property has to be a boolean or a collection for storing
+    // history entries.
+    if (!Match.test(
+        definition.history, Match.OneOf(Boolean, Mongo.Collection)
+      )) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'history'
+        },
+        'Property value has to be a boolean or an instance of ' +
+        '"Mongo.Collection"'
+      ]);
+    }
+    parsedDefinition.history = definition.history;
+  }
+
+  // Check existence and validity of the "revisions" property.
+  if (definition.revisions !== undefined) {
+    // The "revisions" property has to be a boolean or a collection for
+    // storing revisions.
+    if (!Match.test(
+        definition.revisions, Match.OneOf(Boolean, Mongo.Collection)
+      )) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'revisions'
+        },
+        'Property value has to be a boolean or an instance of ' +
+        '"Mongo.Collection"'
+      ]);
+    }
+    parsedDefinition.revisions = definition.revisions;
+  }
+
+  // Check existence and validity of the "allow" and "deny" properties.
+  _.each(['allow', 'deny'], (rulesType) => {
+    if (definition[rulesType] === undefined) {
+      return;
+    }
+    const rulePattern = Match.Optional(Match.OneOf(Function, [Function]));
+    if (!Match.test(definition[rulesType], {
+        insert: rulePattern,
+        update: rulePattern,
+        remove: rulePattern
+      })) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': rulesType
+        },
+        'Property value has to be an object with keys being operation name ' +
+        '("insert", "update" or "remove") and values being functions'
+      ]);
+    }
+    _.each(definition[rulesType], (rules, operation) => {
+      parsedDefinition[rulesType][operation] = _.concat([], rules);
+    });
+  });
+
+  // Check existence and validity of the "namedMethods" property.
+  if (definition.namedMethods !== undefined) {
+    // The "namedMethods" property has to be a boolean.
+    if (!Match.test(definition.namedMethods, Boolean)) {
+      throwParseError([{
+          'class': className
+        }, {
+          'property': 'namedMethods'
+        },
+        'Property value has to be a boolean'
+      ]);
+    }
+    parsedDefinition.namedMethods = definition.namedMethods;
+  }
 };
 
 export default onParseDefinition;
\ No newline at end of file
@@ -0,0 +1,12 @@
+import _ from 'lodash';
+import classInsertMany from '../utils/class_insert_many.js';
+
+function insertMany(args) {
+  // Documents inserted by the client are always checked against the security
+  // rules and the batch size limit.
+  return classInsertMany(_.extend({}, args, {
+    trusted: false
+  }));
+};
+
+export default insertMany;
\ No newline at end of file
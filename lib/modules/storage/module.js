@@ -2,28 +2,56 @@ import Module from '../../core/module.js';
 // Utils.
 import applyModifier from './utils/apply_modifier.js';
 import callMeteorMethod from './utils/call_meteor_method.js';
+import classBulkUpdate from './utils/class_bulk_update.js';
 import classInsert from './utils/class_insert.js';
+import classInsertMany from './utils/class_insert_many.js';
 import classUpdate from './utils/class_update.js';
 import classRemove from './utils/class_remove.js';
-import documentInsert from './utils/document_insert.js';
+import createAsyncMethod from './utils/create_async_method.js';
+import documentInsert, {
+  prepareDocumentInsert
+} from './utils/document_insert.js';
 import documentUpdate from './utils/document_update.js';
 import documentRemove from './utils/document_remove.js';
 import getModified from './utils/get_modified.js';
 import getModifier from './utils/get_modifier.js';
+import getOldDoc from './utils/get_old_doc.js';
+import getMeteorMethodName from './utils/get_meteor_method_name.js';
 import hasMeteorMethod from './utils/has_meteor_method.js';
+import hasPermissionRules from './utils/has_permission_rules.js';
+import { getDefaultHistoryCollection, writeHistoryEntry } from './utils/history.js';
+import {
+  getDefaultRevisionsCollection,
+  ensureRevisionsIndex,
+  replayRevisions,
+  writeRevision
+} from './utils/revisions.js';
+import getCompanionCollection from './utils/get_companion_collection.js';
 import isModified from './utils/is_modified.js';
 import isRemote from './utils/is_remote.js';
 import omitUndefined from './utils/omit_undefined.js';
+import {
+  setSnapshot,
+  takeSnapshot,
+  applySnapshotModifier,
+  getSnapshotDoc
+} from './utils/snapshot.js';
+import registerMeteorMethods from './utils/register_meteor_methods.js';
+import throwIfFieldsNotWritable from './utils/throw_if_fields_not_writable.js';
+import throwIfNotAllowed from './utils/throw_if_not_allowed.js';
 import throwIfSelectorIsNotId from './utils/throw_if_selector_is_not_id.js';
 import transformToClass from './utils/transform_to_class.js';
+import transformWithIncludes from './utils/transform_with_includes.js';
 import triggerBeforeSave from './utils/trigger_before_save.js';
 import triggerBeforeInsert from './utils/trigger_before_insert.js';
 import triggerBeforeUpdate from './utils/trigger_before_update.js';
 import triggerBeforeRemove from './utils/trigger_before_remove.js';
+import triggerBeforeBulkUpdate from './utils/trigger_before_bulk_update.js';
 import triggerAfterSave from './utils/trigger_after_save.js';
 import triggerAfterInsert from './utils/trigger_after_insert.js';
 import triggerAfterUpdate from './utils/trigger_after_update.js';
 import triggerAfterRemove from './utils/trigger_after_remove.js';
+import triggerAfterBulkUpdate from './utils/trigger_after_bulk_update.js';
 // Hooks.
 import onInitSchema from './hooks/init_schema.js';
 import onInitDefinition from './hooks/init_definition.js';
@@ -42,28 +70,52 @@ Module.create({
   onInitClass: onInitClass,
   utils: {
     applyModifier,
+    applySnapshotModifier,
     callMeteorMethod,
+    classBulkUpdate,
     classInsert,
+    classInsertMany,
     classUpdate,
     classRemove,
+    createAsyncMethod,
     documentInsert,
     documentUpdate,
     documentRemove,
+    ensureRevisionsIndex,
     getModified,
     getModifier,
+    getCompanionCollection,
+    getDefaultHistoryCollection,
+    getDefaultRevisionsCollection,
+    getMeteorMethodName,
+    getOldDoc,
+    getSnapshotDoc,
     hasMeteorMethod,
+    hasPermissionRules,
     isModified,
     isRemote,
     omitUndefined,
+    prepareDocumentInsert,
+    replayRevisions,
+    registerMeteorMethods,
+    setSnapshot,
+    takeSnapshot,
+    throwIfFieldsNotWritable,
+    throwIfNotAllowed,
     throwIfSelectorIsNotId,
     transformToClass,
+    transformWithIncludes,
     triggerBeforeSave,
     triggerBeforeInsert,
     triggerBeforeUpdate,
     triggerBeforeRemove,
+    triggerBeforeBulkUpdate,
     triggerAfterSave,
     triggerAfterInsert,
     triggerAfterUpdate,
-    triggerAfterRemove
+    triggerAfterRemove,
+    triggerAfterBulkUpdate,
+    writeHistoryEntry,
+    writeRevision
   }
 });
\ No newline at end of file
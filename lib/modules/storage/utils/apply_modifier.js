@@ -15,8 +15,11 @@ function applyModifier({
     const plainDoc = doc.raw();
     // Use Minimongo's the "_modify" method to apply modifier.
     LocalCollection._modify(plainDoc, modifier, options);
-    // Set all values back again on a document.
-    setAll(doc, plainDoc);
+    // Set all values back again on a document. Applying a modifier is not a
+    // change that could be undone.
+    setAll(doc, plainDoc, {
+      undo: false
+    });
   }
 };
 
@@ -0,0 +1,96 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import triggerBeforeBulkUpdate from './trigger_before_bulk_update.js';
+import triggerAfterBulkUpdate from './trigger_after_bulk_update.js';
+import modifierValidate from '../../validators/utils/modifier_validate.js';
+
+// Updates all documents matching a selector with a single database call. Unlike
+// the regular update, documents are not fetched, so there are no per document
+// events, and the modifier is validated instead of the modified documents.
+function classBulkUpdate(args = {}) {
+  const {
+    className,
+    selector,
+    simulation = true,
+    trusted = false
+  } = args;
+  let {
+    modifier
+  } = args;
+
+  // Stop execution, if we are not on the server, when the "simulation" flag is
+  // not set.
+  if (!simulation && !Meteor.isServer) {
+    return;
+  }
+
+  // Bulk updates skip loading documents so they can only be performed by the
+  // trusted code.
+  if (!trusted) {
+    throw new Meteor.Error(
+      403, 'Not permitted. Untrusted code may not perform bulk updates.'
+    );
+  }
+
+  const Class = AstroClass.get(className);
+  const Collection = Class.getCollection();
+  // The "stopOnFirstError" flag can be passed together with the "bulk" option.
+  const stopOnFirstError = _.get(
+    args.options, 'stopOnFirstError', args.stopOnFirstError
+  );
+  const options = _.omit(args.options, ['bulk', 'stopOnFirstError']);
+
+  // Trigger before events.
+  triggerBeforeBulkUpdate(Class, trusted, {
+    selector,
+    modifier,
+    options
+  });
+
+  // Validate a modifier.
+  modifierValidate({
+    Class,
+    modifier,
+    stopOnFirstError,
+    simulation
+  });
+
+  // Increase the version of all updated documents in versioned classes.
+  const versionField = Class.schema.versionField;
+  if (versionField) {
+    modifier = _.extend({}, modifier, {
+      $inc: _.extend({}, modifier.$inc, {
+        [versionField]: 1
+      })
+    });
+  }
+
+  // Update documents.
+  try {
+    const result = Collection._collection.update(
+      selector, modifier, _.extend({}, options, {
+        multi: true
+      })
+    );
+
+    // Trigger after events.
+    triggerAfterBulkUpdate(Class, trusted, {
+      selector,
+      modifier,
+      options,
+      result
+    });
+
+    return result;
+  }
+  catch(err) {
+    if (err.name === 'MongoError' || err.name === 'MinimongoError') {
+      throw new Meteor.Error(409, err.toString());
+    }
+    else {
+      throw err;
+    }
+  }
+};
+
+export default classBulkUpdate;
\ No newline at end of file
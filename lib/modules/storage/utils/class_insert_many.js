@@ -0,0 +1,182 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import { prepareDocumentInsert } from './document_insert.js';
+import triggerAfterSave from './trigger_after_save.js';
+import triggerAfterInsert from './trigger_after_insert.js';
+import { setSnapshot } from './snapshot.js';
+import toMongoDocument from './to_mongo_document.js';
+import Config from '../../../core/config.js';
+import { ValidationError } from 'meteor/mdg:validation-error';
+
+// Inserts all documents using a single write to the database. Returns write
+// errors with indexes of documents that failed to be inserted.
+function bulkInsert(Collection, values, ordered) {
+  // Values are converted to the Mongo types, because we write around the
+  // collection. For the same reason we have to make the write fence of the
+  // current method wait for observers to be notified about the write.
+  const write = Collection._driver.mongo._maybeBeginWrite();
+  try {
+    Promise.await(Collection.rawCollection().insertMany(
+      _.map(values, toMongoDocument), {
+        ordered
+      }
+    ));
+    return [];
+  }
+  catch(err) {
+    // Rethrow errors other than write errors of particular documents.
+    if (!err.writeErrors) {
+      throw err;
+    }
+    return _.map(_.castArray(err.writeErrors), (writeError) => {
+      return {
+        index: writeError.index,
+        reason: writeError.errmsg
+      };
+    });
+  }
+  finally {
+    Meteor.refresh({
+      collection: Collection._name
+    });
+    write.committed();
+  }
+};
+
+// Inserts documents one by one into a local collection. Returns errors with
+// indexes of documents that failed to be inserted.
+function localInsert(Collection, values, ordered) {
+  const failed = [];
+  _.each(values, (value, index) => {
+    try {
+      Collection._collection.insert(value);
+    }
+    catch(err) {
+      if (err.name !== 'MongoError' && err.name !== 'MinimongoError') {
+        throw err;
+      }
+      failed.push({
+        index,
+        reason: err.toString()
+      });
+      // Insert remaining documents only when they are not inserted in order.
+      return !ordered;
+    }
+  });
+  return failed;
+};
+
+function classInsertMany(args = {}) {
+  const {
+    className,
+    plainDocs,
+    stopOnFirstError = true,
+    simulation = true,
+    trusted = false,
+  } = args;
+
+  // Stop execution, if we are not on the server, when the "simulation" flag is
+  // not set.
+  if (!simulation && !Meteor.isServer) {
+    return;
+  }
+
+  // Limit the number of documents inserted by untrusted code at once.
+  if (!trusted && _.size(plainDocs) > Config.insertManyLimit) {
+    throw new Meteor.Error(
+      403,
+      'Not permitted. Untrusted code may only insert up to ' +
+      Config.insertManyLimit + ' documents at once.'
+    );
+  }
+
+  const Class = AstroClass.get(className);
+  const Collection = Class.getCollection();
+  // Create new documents.
+  const docs = _.map(plainDocs, (plainDoc) => {
+    return new Class(plainDoc);
+  });
+
+  // Prepare all documents before inserting any of them. Validation errors get
+  // the index of a document they were thrown for.
+  const prepared = [];
+  const errors = [];
+  _.each(docs, (doc, index) => {
+    try {
+      prepared.push(prepareDocumentInsert({
+        doc,
+        stopOnFirstError,
+        simulation,
+        trusted
+      }));
+    }
+    catch (err) {
+      if (!ValidationError.is(err)) {
+        throw err;
+      }
+      const details = _.map(err.details, (details) => {
+        return _.extend({
+          index
+        }, details);
+      });
+      if (stopOnFirstError) {
+        throw new ValidationError(details, err.reason);
+      }
+      errors.push(...details);
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors, errors[0].message);
+  }
+
+  // Insert documents and get indexes of documents that failed to be written.
+  const values = _.map(prepared, 'values');
+  const ordered = stopOnFirstError;
+  const failed = Meteor.isServer && Collection._name ?
+    bulkInsert(Collection, values, ordered) :
+    localInsert(Collection, values, ordered);
+  // When documents are inserted in order, then the first failure stops
+  // inserting the remaining ones.
+  const failedIndexes = _.map(failed, 'index');
+  const isWritten = (index) => {
+    if (ordered && failed.length > 0) {
+      return index < failedIndexes[0];
+    }
+    return !_.includes(failedIndexes, index);
+  };
+
+  // The after events are only triggered for documents that were written.
+  const insertedIds = [];
+  _.each(docs, (doc, index) => {
+    if (!isWritten(index)) {
+      return;
+    }
+    const {
+      values: docValues,
+      changes
+    } = prepared[index];
+
+    // Change the "_isNew" flag to "false". Now a document is not new.
+    doc._isNew = false;
+    // Remember values stored in the database.
+    setSnapshot(doc, docValues);
+    insertedIds.push(doc._id);
+
+    // Trigger after events.
+    triggerAfterInsert(doc, trusted, changes);
+    triggerAfterSave(doc, trusted, changes);
+  });
+
+  // Report documents that could not be inserted together with ids of inserted
+  // ones.
+  if (failed.length > 0) {
+    throw new Meteor.Error(409, failed[0].reason, {
+      insertedIds,
+      failed
+    });
+  }
+
+  return _.map(docs, '_id');
+};
+
+export default classInsertMany;
@@ -3,6 +3,7 @@ import AstroClass from '../../../core/class.js';
 import throwIfSelectorIsNotId from './throw_if_selector_is_not_id.js';
 import documentUpdate from './document_update.js';
 import applyModifier from './apply_modifier.js';
+import classBulkUpdate from './class_bulk_update.js';
 import { Minimongo } from 'meteor/minimongo';
 
 function classUpdate(args = {}) {
@@ -13,6 +14,7 @@ function classUpdate(args = {}) {
     options,
     stopOnFirstError,
     fields,
+    version,
     simulation = true,
     trusted = false,
   } = args;
@@ -23,6 +25,11 @@ function classUpdate(args = {}) {
     return;
   }
 
+  // Update all matching documents at once without fetching them.
+  if (options.bulk) {
+    return classBulkUpdate(args);
+  }
+
   // Throw exception if we are trying to perform an operation on more than one
   // document at once and it's not trusted call.
   if (!trusted) {
@@ -62,6 +69,13 @@ function classUpdate(args = {}) {
       } : {}
     });
 
+    // In versioned classes check the version of a document the caller has
+    // instead of the current one.
+    const versionField = Class.schema.versionField;
+    if (versionField && version !== undefined) {
+      doc[versionField] = version;
+    }
+
     // Update a document.
     result += documentUpdate({
       doc,
@@ -0,0 +1,25 @@
+// Creates a variant of the method taking a callback as the last argument that
+// returns a promise. The callback receives the result of the meteor method, so
+// the promise resolves with the server result instead of the stub value. The
+// arity is the number of arguments the method takes before the callback. When
+// it's given, omitted optional arguments are padded, so the callback is always
+// passed in its own slot.
+function createAsyncMethod(methodName, arity) {
+  return function(...args) {
+    if (arity !== undefined) {
+      args.length = arity;
+    }
+    return new Promise((resolve, reject) => {
+      this[methodName](...args, (err, result) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(result);
+        }
+      });
+    });
+  };
+};
+
+export default createAsyncMethod;
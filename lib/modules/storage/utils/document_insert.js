@@ -2,13 +2,22 @@ import _ from 'lodash';
 import { DDP } from 'meteor/ddp';
 import castNested from '../../fields/utils/cast_nested.js';
 import rawAll from '../../fields/utils/raw_all.js';
+import getModifier from './get_modifier.js';
+import getModified from './get_modified.js';
 import triggerBeforeSave from './trigger_before_save.js';
 import triggerBeforeInsert from './trigger_before_insert.js';
 import triggerAfterSave from './trigger_after_save.js';
 import triggerAfterInsert from './trigger_after_insert.js';
+import hasPermissionRules from './has_permission_rules.js';
+import throwIfNotAllowed from './throw_if_not_allowed.js';
+import throwIfFieldsNotWritable from './throw_if_fields_not_writable.js';
+import { setSnapshot } from './snapshot.js';
 import documentValidate from '../../validators/utils/document_validate.js';
 
-function documentInsert(args = {}) {
+// Prepares a document for inserting. It generates an id, checks permissions,
+// triggers the before events and validates a document. Returns values to be
+// inserted and changes passed to the after events.
+function prepareDocumentInsert(args = {}) {
   let {
     doc,
     stopOnFirstError,
@@ -17,12 +26,6 @@ function documentInsert(args = {}) {
     trusted = false
   } = args;
 
-  // Stop execution, if we are not on the server, when the "simulation" flag is
-  // not set.
-  if (!simulation && !Meteor.isServer) {
-    return;
-  }
-
   let Class = doc.constructor;
   let Collection = Class.getCollection();
 
@@ -43,9 +46,24 @@ function documentInsert(args = {}) {
     }
   }
 
-  // Check if a class is secured.
-  if (Class.isSecured('insert') && Meteor.isServer && !trusted) {
-    throw new Meteor.Error(403, 'Inserting from the client is not allowed');
+  // Check if a class is secured. Operations having the allow or deny rules
+  // are authorized by these rules instead.
+  if (Meteor.isServer && !trusted) {
+    if (hasPermissionRules(Class, 'insert')) {
+      throwIfNotAllowed({
+        doc,
+        fields,
+        operation: 'insert'
+      });
+    }
+    else if (Class.isSecured('insert')) {
+      throw new Meteor.Error(403, 'Inserting from the client is not allowed');
+    }
+    // Check if the client is allowed to write all the modified fields.
+    throwIfFieldsNotWritable({
+      doc,
+      fields
+    });
   }
 
   // Trigger before events.
@@ -71,6 +89,49 @@ function documentInsert(args = {}) {
   });
   values = _.omitBy(values, _.isUndefined);
 
+  // Pass changes to the after events of classes keeping history of changes or
+  // revisions.
+  let changes;
+  if (Class.schema.history || Class.schema.revisions) {
+    changes = {
+      modifier: getModifier({
+        doc,
+        immutable: true
+      }),
+      modified: getModified({
+        doc,
+        immutable: true
+      })
+    };
+  }
+
+  return {
+    values,
+    changes
+  };
+};
+
+function documentInsert(args = {}) {
+  const {
+    doc,
+    simulation = true,
+    trusted = false
+  } = args;
+
+  // Stop execution, if we are not on the server, when the "simulation" flag is
+  // not set.
+  if (!simulation && !Meteor.isServer) {
+    return;
+  }
+
+  const Collection = doc.constructor.getCollection();
+
+  // Prepare a document.
+  const {
+    values,
+    changes
+  } = prepareDocumentInsert(args);
+
   // Insert a document.
   try {
     // There is a difference in what the insert method returns depending on the
@@ -82,10 +143,12 @@ function documentInsert(args = {}) {
 
     // Change the "_isNew" flag to "false". Now a document is not new.
     doc._isNew = false;
+    // Remember values stored in the database.
+    setSnapshot(doc, values);
 
     // Trigger after events.
-    triggerAfterInsert(doc, trusted);
-    triggerAfterSave(doc, trusted);
+    triggerAfterInsert(doc, trusted, changes);
+    triggerAfterSave(doc, trusted, changes);
 
     return doc._id;
   }
@@ -99,4 +162,5 @@ function documentInsert(args = {}) {
   }
 };
 
+export { prepareDocumentInsert };
 export default documentInsert;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import triggerBeforeRemove from './trigger_before_remove.js';
 import triggerAfterRemove from './trigger_after_remove.js';
+import hasPermissionRules from './has_permission_rules.js';
+import throwIfNotAllowed from './throw_if_not_allowed.js';
 
 function documentRemove(args = {}) {
   const {
@@ -22,9 +24,18 @@ function documentRemove(args = {}) {
     return 0;
   }
 
-  // Check if a class is secured.
-  if (Class.isSecured('remove') && Meteor.isServer && !trusted) {
-    throw new Meteor.Error(403, 'Removing from the client is not allowed');
+  // Check if a class is secured. Operations having the allow or deny rules
+  // are authorized by these rules instead.
+  if (Meteor.isServer && !trusted) {
+    if (hasPermissionRules(Class, 'remove')) {
+      throwIfNotAllowed({
+        doc,
+        operation: 'remove'
+      });
+    }
+    else if (Class.isSecured('remove')) {
+      throw new Meteor.Error(403, 'Removing from the client is not allowed');
+    }
   }
 
   // Trigger before events.
@@ -6,6 +6,11 @@ import triggerAfterSave from './trigger_after_save.js';
 import triggerAfterUpdate from './trigger_after_update.js';
 import isModified from './is_modified.js';
 import getModifier from './get_modifier.js';
+import getModified from './get_modified.js';
+import hasPermissionRules from './has_permission_rules.js';
+import throwIfNotAllowed from './throw_if_not_allowed.js';
+import throwIfFieldsNotWritable from './throw_if_fields_not_writable.js';
+import { applySnapshotModifier } from './snapshot.js';
 import documentValidate from '../../validators/utils/document_validate.js';
 
 function documentUpdate(args = {}) {
@@ -42,9 +47,24 @@ function documentUpdate(args = {}) {
     return 0;
   }
 
-  // Check if a class is secured.
-  if (Class.isSecured('update') && Meteor.isServer && !trusted) {
-    throw new Meteor.Error(403, 'Updating from the client is not allowed');
+  // Check if a class is secured. Operations having the allow or deny rules
+  // are authorized by these rules instead.
+  if (Meteor.isServer && !trusted) {
+    if (hasPermissionRules(Class, 'update')) {
+      throwIfNotAllowed({
+        doc,
+        fields,
+        operation: 'update'
+      });
+    }
+    else if (Class.isSecured('update')) {
+      throw new Meteor.Error(403, 'Updating from the client is not allowed');
+    }
+    // Check if the client is allowed to write all the modified fields.
+    throwIfFieldsNotWritable({
+      doc,
+      fields
+    });
   }
 
   // Trigger before events.
@@ -73,15 +93,55 @@ function documentUpdate(args = {}) {
   if (_.size(modifier) === 0) {
     return 0;
   }
+  // Pass changes to the after events of classes keeping history of changes or
+  // revisions.
+  let changes;
+  if (Class.schema.history || Class.schema.revisions) {
+    changes = {
+      modifier,
+      modified: getModified({
+        doc,
+        fields
+      })
+    };
+  }
+  // Prepare selector.
+  const selector = {
+    _id: doc._id
+  };
+  // In versioned classes a document is only updated when it has not been
+  // changed since it was fetched. Documents saved before versioning was turned
+  // on do not have the version field.
+  const versionField = Class.schema.versionField;
+  const version = versionField && (doc[versionField] || 0);
+  if (versionField) {
+    selector[versionField] = version === 0 ? {
+      $in: [0, null]
+    } : version;
+    modifier.$inc = _.extend({}, modifier.$inc, {
+      [versionField]: 1
+    });
+  }
   // Update a document.
   try {
-    const result = Collection._collection.update({
-      _id: doc._id
-    }, modifier);
+    const result = Collection._collection.update(selector, modifier);
+    // Throw an error if the document has been changed in the meantime.
+    if (versionField) {
+      if (result === 0) {
+        throw new Meteor.Error(
+          'version-conflict',
+          `The "${Class.getName()}" document with the id "${doc._id}" has ` +
+          `been modified by someone else since version ${version}`
+        );
+      }
+      doc[versionField] = version + 1;
+    }
+    // Apply changes stored in the database to the snapshot.
+    applySnapshotModifier(doc, modifier);
 
     // Trigger after events.
-    triggerAfterUpdate(doc, trusted);
-    triggerAfterSave(doc, trusted);
+    triggerAfterUpdate(doc, trusted, changes);
+    triggerAfterSave(doc, trusted, changes);
 
     return result;
   }
@@ -0,0 +1,20 @@
+import _ from 'lodash';
+
+// Companion collections shared by classes stored in the same collection.
+const companionCollections = {};
+
+// Returns a collection named after the class collection with the given suffix,
+// e.g. "posts_history".
+function getCompanionCollection(Collection, suffix) {
+  // Local collections have their own local companion collections.
+  if (!Collection._name) {
+    return new Mongo.Collection(null);
+  }
+  const name = Collection._name + '_' + suffix;
+  if (!_.has(companionCollections, name)) {
+    companionCollections[name] = new Mongo.Collection(name);
+  }
+  return companionCollections[name];
+};
+
+export default getCompanionCollection;
@@ -0,0 +1,10 @@
+// Classes with the "namedMethods" option set call their own meteor methods,
+// e.g. "/Astronomy/Post/update", instead of the shared ones.
+function getMeteorMethodName(Class, operation) {
+  if (Class.schema.namedMethods) {
+    return '/Astronomy/' + Class.getName() + '/' + operation;
+  }
+  return '/Astronomy/' + operation;
+};
+
+export default getMeteorMethodName;
@@ -1,8 +1,8 @@
 import _ from 'lodash';
 import AstroClass from '../../../core/class.js';
-import throwParseError from '../../core/utils/throw_parse_error.js';
 import rawMany from '../../fields/utils/raw_many.js';
 import omitUndefined from './omit_undefined.js';
+import getOldDoc from './get_old_doc.js';
 
 function diff({
   newDoc,
@@ -65,29 +65,18 @@ function getModified(options = {}) {
     doc: newDoc,
     transient = false,
     immutable = false,
+    defaults = false,
+    snapshot = true,
     fields
   } = options;
 
   const Class = newDoc.constructor;
-  const opts = {
-    defaults: false
-  };
-  const oldDoc = newDoc._isNew ?
-    new Class({}, opts) : Class.findOne(newDoc._id, opts);
-  // If there is no document before modifications that may mean that we are not
-  // subscribed to the publication publishing given document or we modified the
-  // _id of a document.
-  if (!oldDoc) {
-    throwParseError([{
-        'module': 'storage'
-      }, {
-        'utility': 'getModified'
-      },
-      `Can not get a document before modifications. You are not subscribed ` +
-      `to the publication publishing a "${Class.getName()}" document with ` +
-      `the id "${newDoc._id}" or you have modified the "_id" field`
-    ]);
-  }
+  const oldDoc = getOldDoc({
+    doc: newDoc,
+    defaults,
+    snapshot,
+    utility: 'getModified'
+  });
 
   // If there are not fields specified, then get all of them.
   if (!fields) {
@@ -1,16 +1,150 @@
 import _ from 'lodash';
-import throwParseError from '../../core/utils/throw_parse_error.js';
 import rawMany from '../../fields/utils/raw_many.js';
 import omitUndefined from './omit_undefined.js';
+import getOldDoc from './get_old_doc.js';
+
+// Merges operators of a nested modifier into a modifier.
+function mergeModifiers(modifier, nestedModifier) {
+  _.each(nestedModifier, (values, operator) => {
+    modifier[operator] = _.extend(modifier[operator] || {}, values);
+  });
+  return modifier;
+};
+
+// Returns an index of an element in an array using the EJSON equality.
+function indexOf(array, element) {
+  return _.findIndex(array, (other) => EJSON.equals(other, element));
+};
+
+// Checks whether an array contains the same elements as another array but
+// possibly in a different order.
+function isPermutation(array, other) {
+  if (array.length !== other.length) {
+    return false;
+  }
+  const rest = other.slice();
+  return _.every(array, (element) => {
+    const index = indexOf(rest, element);
+    if (index === -1) {
+      return false;
+    }
+    rest.splice(index, 1);
+    return true;
+  });
+};
+
+function diffArrays({
+  oldValue,
+  newValue,
+  prefix
+}) {
+  // Elements were only appended, so we push them at the end of an array.
+  if (
+    newValue.length > oldValue.length &&
+    EJSON.equals(newValue.slice(0, oldValue.length), oldValue)
+  ) {
+    return {
+      $push: {
+        [prefix]: {
+          $each: newValue.slice(oldValue.length)
+        }
+      }
+    };
+  }
+
+  // Elements were only removed.
+  if (newValue.length < oldValue.length) {
+    // If none of the removed values stays in an array, then we can pull them
+    // by value. Otherwise pulling would also remove elements that should stay.
+    const pulled = _.filter(oldValue, (element) => {
+      return indexOf(newValue, element) === -1;
+    });
+    const remaining = _.filter(oldValue, (element) => {
+      return indexOf(newValue, element) !== -1;
+    });
+    if (EJSON.equals(remaining, newValue)) {
+      const values = _.uniqWith(pulled, EJSON.equals);
+      // Objects passed to the $pull operator are treated as conditions, so we
+      // only pull a single primitive value and use $pullAll otherwise.
+      if (values.length === 1 && !_.isObject(values[0])) {
+        return {
+          $pull: {
+            [prefix]: values[0]
+          }
+        };
+      }
+      return {
+        $pullAll: {
+          [prefix]: values
+        }
+      };
+    }
+    // The last or the first element was removed.
+    if (newValue.length === oldValue.length - 1) {
+      if (EJSON.equals(newValue, oldValue.slice(0, -1))) {
+        return {
+          $pop: {
+            [prefix]: 1
+          }
+        };
+      }
+      if (EJSON.equals(newValue, oldValue.slice(1))) {
+        return {
+          $pop: {
+            [prefix]: -1
+          }
+        };
+      }
+    }
+  }
+
+  // Elements were changed in place. Reordered arrays are overridden.
+  if (
+    newValue.length === oldValue.length &&
+    !isPermutation(newValue, oldValue)
+  ) {
+    const modifier = {};
+    _.each(newValue, (newElement, index) => {
+      const arrayPrefix = prefix + '.' + index;
+      const oldElement = oldValue[index];
+      if (EJSON.equals(oldElement, newElement)) {
+        return;
+      }
+      // If both array elements are object, then we perform diff between them.
+      if (_.isPlainObject(oldElement) && _.isPlainObject(newElement)) {
+        mergeModifiers(modifier, diff({
+          oldDoc: oldElement,
+          newDoc: newElement,
+          prefix: arrayPrefix
+        }));
+      }
+      else {
+        mergeModifiers(modifier, {
+          $set: {
+            [arrayPrefix]: newElement
+          }
+        });
+      }
+    });
+    return modifier;
+  }
+
+  // Elements were reordered or the change can not be described with the
+  // array operators, so we override entire array. It's impossible to combine
+  // several operators on the same array in one modifier.
+  return {
+    $set: {
+      [prefix]: newValue
+    }
+  };
+};
 
 function diff({
   oldDoc,
   newDoc,
   prefix = ''
 }) {
-  let $set = {};
-  let $unset = {};
-  let $push = {};
+  const modifier = {};
 
   const fieldsNames = _.union(_.keys(oldDoc), _.keys(newDoc));
   _.each(fieldsNames, function(fieldName) {
@@ -22,120 +156,37 @@ function diff({
 
       // Compare two objects.
       if (_.isPlainObject(oldValue) && _.isPlainObject(newValue)) {
-
-        let {
-          $set: $nestedSet,
-          $unset: $nestedUnset,
-          $push: $nestedPush
-        } = diff({
+        mergeModifiers(modifier, diff({
           oldDoc: oldValue,
           newDoc: newValue,
           prefix: nestedPrefix
-        });
-        _.extend($set, $nestedSet);
-        _.extend($unset, $nestedUnset);
-        _.extend($push, $nestedPush);
-
+        }));
       }
       // Compare two arrays.
       else if (_.isArray(oldValue) && _.isArray(newValue)) {
-
-        // NOTE: We need check a new array size. If its length increased or
-        // stayed the same then all changes can be registered using the $set
-        // modifier. If an array length decreased, then we should slice it.
-        // However it may not be possible if some element has also changed.
-        // In such situation we have to override entire array.
-        let $arraySet = {};
-        let $arrayUnset = {};
-        let $arrayPush = {};
-        // Compare up to number of elements in the array after the change.
-        _.each(newValue, function(newElement, index) {
-          const arrayPrefix = nestedPrefix + '.' + index;
-          const oldElement = oldValue[index];
-          if (!EJSON.equals(oldElement, newElement)) {
-            // If both array elements are object, then we perform diff between
-            // them.
-            if (_.isPlainObject(oldElement) && _.isPlainObject(newElement)) {
-              // Get a difference between elements.
-              let {
-                $set: $elementSet,
-                $unset: $elementUnset,
-                $push: $elementPush
-              } = diff({
-                oldDoc: oldElement,
-                newDoc: newElement,
-                prefix: arrayPrefix
-              });
-              _.extend($arraySet, $elementSet);
-              _.extend($arrayUnset, $elementUnset);
-              _.extend($arrayPush, $elementPush);
-            }
-            else {
-              $arraySet[arrayPrefix] = newElement;
-            }
+        mergeModifiers(modifier, diffArrays({
+          oldValue,
+          newValue,
+          prefix: nestedPrefix
+        }));
+      }
+      else if (newValue !== undefined) {
+        mergeModifiers(modifier, {
+          $set: {
+            [nestedPrefix]: newValue
           }
         });
-
-        // If an array was empty, then we override entire field with a new
-        // array. That way we solve a problem with treating array indexes as
-        // object keys, which cause inserting Object instead of Array into the
-        // Mongo collection.
-        if (oldValue.length === 0 && newValue.length > 0) {
-          $set[nestedPrefix] = newValue;
-        }
-        // Array length increased or stayed the same.
-        else if (newValue.length >= oldValue.length) {
-          _.extend($set, $arraySet);
-          _.extend($unset, $arrayUnset);
-          _.extend($push, $arrayPush);
-        }
-        // Array length decreased.
-        else {
-          // At least one array element has changed.
-          // FIXME: Due to an error in MiniMongo it's not possible to apply
-          // $push modifier with the $slice operator set to positive number.
-          // That's why the following "if" statement is always true and we
-          // have to override entire array when it was shrinked.
-          if (true || _.size($arraySet) > 0 || _.size($arrayPush) > 0) {
-            // So, we need to override entire array with its new state.
-            $set[nestedPrefix] = newValue;
-          }
-          // Array elements have not changed. The array length just shrinked.
-          else {
-            $push[nestedPrefix] = {
-              // We do not want to add any elements, we just want to slice an
-              // array.
-              $each: [],
-              // Slice array to new array length.
-              $slice: newValue.length
-            };
-          }
-        }
-
       }
       else {
-
-        if (newValue !== undefined) {
-          $set[nestedPrefix] = newValue;
-        }
-        else {
-          $unset[nestedPrefix] = '';
-        }
+        mergeModifiers(modifier, {
+          $unset: {
+            [nestedPrefix]: ''
+          }
+        });
       }
     }
   });
 
-  // Return only non empty modifiers.
-  let modifier = {};
-  if (_.size($set)) {
-    modifier.$set = $set;
-  }
-  if (_.size($unset)) {
-    modifier.$unset = $unset;
-  }
-  if (_.size($push)) {
-    modifier.$push = $push;
-  }
   return modifier;
 };
 
@@ -144,29 +195,16 @@ function getModifier(options) {
     doc: newDoc,
     transient = false,
     immutable = false,
+    snapshot = true,
     fields
   } = options;
 
   const Class = newDoc.constructor;
-  const opts = {
-    defaults: false
-  };
-  const oldDoc = newDoc._isNew ?
-    new Class({}, opts) : Class.findOne(newDoc._id, opts);
-  // If there is no document before modifications that may mean that we are not
-  // subscribed to the publication publishing given document or we modified the
-  // _id of a document.
-  if (!oldDoc) {
-    throwParseError([{
-        'module': 'storage'
-      }, {
-        'utility': 'getModified'
-      },
-      `Can not get a document before modifications. You are not subscribed ` +
-      `to the publication publishing a "${Class.getName()}" document with ` +
-      `the id "${newDoc._id}" or you have modified the "_id" field`
-    ]);
-  }
+  const oldDoc = getOldDoc({
+    doc: newDoc,
+    snapshot,
+    utility: 'getModifier'
+  });
 
   // If there are not fields specified, then get all of them.
   if (!fields) {
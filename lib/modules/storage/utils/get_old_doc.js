@@ -0,0 +1,44 @@
+import throwParseError from '../../core/utils/throw_parse_error.js';
+import { getSnapshotDoc } from './snapshot.js';
+
+// Returns a document before modifications. New documents are compared with an
+// empty document or a document with the default values when the "defaults"
+// option is set. Saved documents are compared with the snapshot if it was
+// taken or with a document fetched from the collection otherwise.
+function getOldDoc({ doc, defaults = false, snapshot = true, utility }) {
+  const Class = doc.constructor;
+
+  if (doc._isNew) {
+    return new Class({}, {
+      defaults
+    });
+  }
+
+  if (snapshot && doc._snapshot) {
+    return getSnapshotDoc(doc);
+  }
+
+  // The stored document is looked for even if it's filtered out by default,
+  // e.g. when it's soft removed.
+  const oldDoc = Class.findOne(doc._id, {
+    defaults: false,
+    withRemoved: true
+  });
+  // If there is no document before modifications that may mean that we are not
+  // subscribed to the publication publishing given document or we modified the
+  // _id of a document.
+  if (!oldDoc) {
+    throwParseError([{
+        'module': 'storage'
+      }, {
+        'utility': utility
+      },
+      `Can not get a document before modifications. You are not subscribed ` +
+      `to the publication publishing a "${Class.getName()}" document with ` +
+      `the id "${doc._id}" or you have modified the "_id" field`
+    ]);
+  }
+  return oldDoc;
+};
+
+export default getOldDoc;
\ No newline at end of file
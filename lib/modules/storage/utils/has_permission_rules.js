@@ -0,0 +1,9 @@
+// Checks whether a class has the allow or deny rules of an operation.
+function hasPermissionRules(Class, operation) {
+  return (
+    Class.schema.allow[operation].length > 0 ||
+    Class.schema.deny[operation].length > 0
+  );
+};
+
+export default hasPermissionRules;
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { DDP } from 'meteor/ddp';
+import isRemote from './is_remote.js';
+import getCompanionCollection from './get_companion_collection.js';
+
+function getDefaultHistoryCollection(Collection) {
+  return getCompanionCollection(Collection, 'history');
+};
+
+const operations = {
+  afterinsert: 'insert',
+  afterupdate: 'update',
+  afterremove: 'remove'
+};
+
+function writeHistoryEntry(e) {
+  const doc = e.currentTarget;
+  const Class = doc.constructor;
+  // Entries are written on the server, only local collections keep history on
+  // the client.
+  if (!Class.schema.history || isRemote(Class)) {
+    return;
+  }
+
+  // Get the user calling the meteor method.
+  const invocation = DDP._CurrentInvocation.get();
+  const userId = invocation ? invocation.userId : null;
+
+  // Modifiers can not be stored as they are because of the "$" and "." chars in
+  // keys, so they are stored as EJSON strings.
+  Class.schema.history.collection.insert({
+    className: Class.getName(),
+    docId: doc._id,
+    operation: operations[e.type],
+    modifier: e.modifier ? EJSON.stringify(e.modifier) : null,
+    modified: e.modified || [],
+    userId,
+    createdAt: new Date()
+  });
+};
+
+export { getDefaultHistoryCollection, writeHistoryEntry };
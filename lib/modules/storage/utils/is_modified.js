@@ -6,13 +6,15 @@ function isModified(options = {}) {
 		doc,
 		pattern,
 		transient = false,
-		immutable = false
+		immutable = false,
+		snapshot = true
 	} = options;
 
 	let modified = getModified({
 		doc,
 		transient,
-		immutable
+		immutable,
+		snapshot
 	});
 
 	if (pattern) {
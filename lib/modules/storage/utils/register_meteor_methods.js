@@ -0,0 +1,34 @@
+import _ from 'lodash';
+import hasMeteorMethod from './has_meteor_method.js';
+import getMeteorMethodName from './get_meteor_method_name.js';
+
+// Registers meteor methods being values of the "meteorMethods" object under
+// the names of operations being keys. The shared methods are always
+// registered and the per class methods only when the "namedMethods" option is
+// set.
+function registerMeteorMethods(Class, connection, meteorMethods) {
+  const className = Class.getName();
+
+  _.each(meteorMethods, (meteorMethod, operation) => {
+    const methodName = '/Astronomy/' + operation;
+    if (!hasMeteorMethod(connection, methodName)) {
+      // Add meteor method.
+      connection.methods(_.zipObject([methodName], [meteorMethod]));
+    }
+
+    if (!Class.schema.namedMethods) {
+      return;
+    }
+    const namedMethodName = getMeteorMethodName(Class, operation);
+    if (!hasMeteorMethod(connection, namedMethodName)) {
+      // The per class method can only operate on its own class.
+      connection.methods(_.zipObject([namedMethodName], [function(args) {
+        return meteorMethod.call(this, _.extend({}, args, {
+          className
+        }));
+      }]));
+    }
+  });
+};
+
+export default registerMeteorMethods;
@@ -0,0 +1,124 @@
+import _ from 'lodash';
+import isRemote from './is_remote.js';
+import applyModifier from './apply_modifier.js';
+import getCompanionCollection from './get_companion_collection.js';
+import warn from '../../core/utils/warn.js';
+
+// How many times writing a revision is retried when another revision of the
+// same document got the same number in the meantime.
+const MAX_WRITE_ATTEMPTS = 5;
+
+function getDefaultRevisionsCollection(Collection) {
+  return getCompanionCollection(Collection, 'revisions');
+};
+
+// Makes the database reject revisions of a document with the same number.
+function ensureRevisionsIndex(RevisionsCollection) {
+  if (Meteor.isServer && RevisionsCollection._name) {
+    RevisionsCollection._ensureIndex({
+      docId: 1,
+      number: 1
+    }, {
+      unique: true
+    });
+  }
+};
+
+function isDuplicateKeyError(err) {
+  return err.name === 'MongoError' && err.code === 11000;
+};
+
+// Returns the number following the number of the last revision of a document.
+function getNextRevisionNumber(RevisionsCollection, docId) {
+  const lastRevision = RevisionsCollection.findOne({
+    docId
+  }, {
+    sort: {
+      number: -1
+    },
+    fields: {
+      number: 1
+    }
+  });
+  return lastRevision ? lastRevision.number + 1 : 1;
+};
+
+function writeRevision(e) {
+  const doc = e.currentTarget;
+  const Class = doc.constructor;
+  // Revisions are written on the server, only local collections keep revisions
+  // on the client.
+  if (!Class.schema.revisions || isRemote(Class) || !e.modifier) {
+    return;
+  }
+
+  const RevisionsCollection = Class.schema.revisions.collection;
+  // Modifiers can not be stored as they are because of the "$" and "." chars in
+  // keys, so they are stored as EJSON strings.
+  // Concurrent saves of a document may read the same number of the last
+  // revision. The unique index rejects all of them except one, so the rest
+  // have to try again with the next number.
+  for (let attempt = 1; ; attempt++) {
+    try {
+      RevisionsCollection.insert({
+        className: Class.getName(),
+        docId: doc._id,
+        number: getNextRevisionNumber(RevisionsCollection, doc._id),
+        modifier: EJSON.stringify(e.modifier),
+        createdAt: new Date()
+      });
+      return;
+    }
+    catch (err) {
+      // A document is already saved when a revision is being written, so
+      // failing to write a revision can not fail saving the document.
+      if (!isDuplicateKeyError(err) || attempt >= MAX_WRITE_ATTEMPTS) {
+        warn(
+          `["${Class.getName()}" class] Could not write a revision of the ` +
+          `"${doc._id}" document: ${err.message}`
+        );
+        return;
+      }
+    }
+  }
+};
+
+// Reconstructs a document by replaying modifiers of revisions matching the
+// selector.
+function replayRevisions({
+  Class,
+  id,
+  selector
+}) {
+  const revisions = Class.schema.revisions.collection.find(_.extend({
+    docId: id
+  }, selector), {
+    sort: {
+      number: 1
+    }
+  }).fetch();
+  if (revisions.length === 0) {
+    return;
+  }
+
+  const doc = new Class({
+    _id: id
+  }, {
+    defaults: false
+  });
+  _.each(revisions, (revision) => {
+    applyModifier({
+      doc,
+      modifier: EJSON.parse(revision.modifier)
+    });
+  });
+
+  return doc;
+};
+
+export {
+  getDefaultRevisionsCollection,
+  ensureRevisionsIndex,
+  writeRevision,
+  replayRevisions
+};
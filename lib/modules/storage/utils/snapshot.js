@@ -0,0 +1,50 @@
+import _ from 'lodash';
+import rawAll from '../../fields/utils/raw_all.js';
+import omitUndefined from './omit_undefined.js';
+import { changedModified } from '../../fields/utils/reactivity.js';
+import { LocalCollection } from 'meteor/minimongo';
+
+// The snapshot is a copy of raw values of a document as they are stored in the
+// database. It's used as a baseline for detecting modifications, so we don't
+// have to fetch a document from the collection.
+function setSnapshot(doc, rawDoc) {
+  doc._snapshot = EJSON.clone(omitUndefined(rawDoc));
+  // The modified state of all fields could change.
+  changedModified(doc);
+};
+
+// Takes a snapshot of the current state of a document.
+function takeSnapshot(doc) {
+  setSnapshot(doc, rawAll(doc, {
+    transient: false
+  }));
+};
+
+// Applies a modifier, which has been used to update a document in the
+// database, to the snapshot of a document.
+function applySnapshotModifier(doc, modifier) {
+  if (!doc._snapshot) {
+    return;
+  }
+  LocalCollection._modify(doc._snapshot, modifier);
+  // The modified state of all fields could change.
+  changedModified(doc);
+};
+
+// Creates a document from the snapshot.
+function getSnapshotDoc(doc) {
+  if (!doc._snapshot) {
+    return;
+  }
+  const Class = doc.constructor;
+  return new Class(EJSON.clone(doc._snapshot), {
+    defaults: false
+  });
+};
+
+export {
+  setSnapshot,
+  takeSnapshot,
+  applySnapshotModifier,
+  getSnapshotDoc
+};
\ No newline at end of file
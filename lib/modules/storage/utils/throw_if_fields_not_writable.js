@@ -0,0 +1,119 @@
+import _ from 'lodash';
+import { DDP } from 'meteor/ddp';
+import AstroClass from '../../../core/class.js';
+import rawAll from '../../fields/utils/raw_all.js';
+import getModified from './get_modified.js';
+import getOldDoc from './get_old_doc.js';
+
+function hasWritableByFields(Class, visited = []) {
+  visited = visited.concat(Class);
+  return _.some(Class.getFields(), (field) => {
+    if (field.writableBy) {
+      return true;
+    }
+    // Check nested classes.
+    const NestedClass = field.type.class;
+    return (
+      AstroClass.isParentOf(NestedClass) &&
+      !_.includes(visited, NestedClass) &&
+      hasWritableByFields(NestedClass, visited)
+    );
+  });
+};
+
+// Nested objects set as a whole have to be checked field by field.
+function getNestedPaths(value, path) {
+  if (!_.isPlainObject(value) && !_.isArray(value)) {
+    return [];
+  }
+  return _.flatMap(value, (nestedValue, key) => {
+    const nestedPath = path + '.' + key;
+    return [nestedPath].concat(getNestedPaths(nestedValue, nestedPath));
+  });
+};
+
+function isWritable({
+  Class,
+  doc,
+  userId,
+  path
+}) {
+  let NestedClass = Class;
+  return _.every(path.split('.'), (segment) => {
+    // Skip indexes of list fields.
+    if (/^\d+$/.test(segment)) {
+      return true;
+    }
+    const field = NestedClass && NestedClass.getField(segment);
+    if (!field) {
+      NestedClass = undefined;
+      return true;
+    }
+    if (field.writableBy && !field.writableBy(userId, doc)) {
+      return false;
+    }
+    NestedClass = AstroClass.isParentOf(field.type.class) ?
+      field.type.class : undefined;
+    return true;
+  });
+};
+
+function throwIfFieldsNotWritable({
+  doc,
+  fields
+}) {
+  const Class = doc.constructor;
+  if (!hasWritableByFields(Class)) {
+    return;
+  }
+
+  // Get the user calling the meteor method.
+  const invocation = DDP._CurrentInvocation.get();
+  const userId = invocation ? invocation.userId : null;
+  // Policies of updated documents are checked against a document as it's
+  // stored, so the client can not change values the policies depend on.
+  const policyDoc = doc._isNew ? doc : getOldDoc({
+    doc,
+    utility: 'throwIfFieldsNotWritable'
+  });
+
+  // Get paths of all modified fields. Values left untouched by the client like
+  // default values of the inserted document are not checked.
+  const modified = getModified({
+    doc,
+    fields,
+    immutable: doc._isNew,
+    defaults: true
+  });
+  const values = rawAll(doc, {
+    transient: false
+  });
+  const paths = _.uniq(_.flatMap(modified, (path) => {
+    return [path].concat(getNestedPaths(_.get(values, path), path));
+  }));
+  let notWritable = _.filter(paths, (path) => {
+    return !isWritable({
+      Class,
+      doc: policyDoc,
+      userId,
+      path
+    });
+  });
+  // Do not list nested paths of fields that are not writable as a whole.
+  notWritable = _.reject(notWritable, (path) => {
+    return _.some(notWritable, (parentPath) => {
+      return _.startsWith(path, parentPath + '.');
+    });
+  });
+
+  if (notWritable.length > 0) {
+    throw new Meteor.Error(
+      403,
+      'Writing the "' + notWritable.join('", "') + '" fields from the ' +
+      'client is not allowed',
+      notWritable
+    );
+  }
+};
+
+export default throwIfFieldsNotWritable;
@@ -0,0 +1,66 @@
+import _ from 'lodash';
+import { DDP } from 'meteor/ddp';
+import getModified from './get_modified.js';
+import getModifier from './get_modifier.js';
+import getOldDoc from './get_old_doc.js';
+
+const verbs = {
+  insert: 'Inserting',
+  update: 'Updating',
+  remove: 'Removing'
+};
+
+// Works like the allow/deny rules of Meteor collections. An operation is not
+// allowed when any of the deny rules returns true or none of the allow rules
+// returns true. Rules of the update operation get a document as it's stored
+// before the update and the modifier, so the client can not change values the
+// rules depend on.
+function throwIfNotAllowed({
+  doc,
+  operation,
+  fields
+}) {
+  const Class = doc.constructor;
+
+  // Get the user calling the meteor method.
+  const invocation = DDP._CurrentInvocation.get();
+  const userId = invocation ? invocation.userId : null;
+
+  // Get names of the top level fields being modified.
+  let modifiedFields = [];
+  let ruleDoc = doc;
+  let modifier;
+  if (operation === 'update') {
+    ruleDoc = getOldDoc({
+      doc,
+      utility: 'throwIfNotAllowed'
+    });
+    modifier = getModifier({
+      doc,
+      fields
+    });
+  }
+  if (operation !== 'remove') {
+    modifiedFields = _.uniq(_.map(getModified({
+      doc,
+      fields,
+      immutable: doc._isNew
+    }), (path) => {
+      return path.split('.')[0];
+    }));
+  }
+
+  const check = (rule) => {
+    return rule(userId, ruleDoc, modifiedFields, modifier);
+  };
+  if (
+    _.some(Class.schema.deny[operation], check) ||
+    !_.some(Class.schema.allow[operation], check)
+  ) {
+    throw new Meteor.Error(
+      403, `${verbs[operation]} from the client is not allowed`
+    );
+  }
+};
+
+export default throwIfNotAllowed;
@@ -0,0 +1,41 @@
+import _ from 'lodash';
+import { Mongo, MongoInternals } from 'meteor/mongo';
+
+// Replaces "$" at the beginning of keys of the custom EJSON types, because
+// MongoDB does not allow such keys. It's the same format Meteor uses to store
+// the custom EJSON types.
+function replaceDollarKeys(value) {
+  if (_.isArray(value)) {
+    return _.map(value, replaceDollarKeys);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(_.mapKeys(value, (nestedValue, key) => {
+      return key[0] === '$' ? 'EJSON' + key : key;
+    }), replaceDollarKeys);
+  }
+  return value;
+};
+
+// Converts values of a document to the types stored by the MongoDB driver.
+// Meteor does it when writing through the collection, so it has to be done
+// when writing directly through the driver. Works only on the server.
+function toMongoDocument(value) {
+  if (value instanceof Mongo.ObjectID) {
+    return new MongoInternals.NpmModule.ObjectID(value.toHexString());
+  }
+  if (value instanceof Uint8Array) {
+    return new MongoInternals.NpmModule.Binary(Buffer.from(value));
+  }
+  if (EJSON._isCustomType(value)) {
+    return replaceDollarKeys(EJSON.toJSONValue(value));
+  }
+  if (_.isArray(value)) {
+    return _.map(value, toMongoDocument);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, toMongoDocument);
+  }
+  return value;
+};
+
+export default toMongoDocument;
\ No newline at end of file
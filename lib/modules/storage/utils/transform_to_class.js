@@ -1,11 +1,15 @@
 import _ from 'lodash';
 import AstroClass from '../../../core/class.js';
+import { setSnapshot } from './snapshot.js';
 
 function transformToClass(className, options = {}) {
   // Set default options.
   _.defaults(options, {
-    defaults: true
+    defaults: true,
+    snapshot: true
   });
+  const snapshot = options.snapshot;
+  options = _.omit(options, 'snapshot');
 
 	return function(rawDoc) {
 		let Class = AstroClass.get(className);
@@ -21,6 +25,13 @@ function transformToClass(className, options = {}) {
 
 			const doc = new Class(rawDoc, options);
 			doc._isNew = false;
+			// Remember values fetched from the database, so modifications can be
+			// detected without fetching a document again. Snapshots can be turned
+			// off for large queries not checking modifications. Documents without
+			// a snapshot are compared with the database instead.
+			if (snapshot) {
+				setSnapshot(doc, rawDoc);
+			}
 			return doc;
 		}
 
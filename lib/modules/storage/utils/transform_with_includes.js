@@ -0,0 +1,187 @@
+import _ from 'lodash';
+import AstroClass from '../../../core/class.js';
+import throwParseError from '../../core/utils/throw_parse_error.js';
+
+const includePattern = {
+  field: String,
+  class: Match.OneOf(String, Function)
+};
+
+function idKey(id) {
+  return _.isString(id) ? id : EJSON.stringify(id);
+};
+
+function parseIncludes(Class, include) {
+  return _.map(include, (definition, name) => {
+    if (!Match.test(definition, includePattern)) {
+      throwParseError([{
+          'class': Class.getName()
+        }, {
+          'method': 'find'
+        }, {
+          'include': name
+        },
+        'Include definition has to be an object with the "field" property ' +
+        'being a field name and the "class" property being a class or a ' +
+        'class name'
+      ]);
+    }
+    // Loaded documents can not override values of fields.
+    if (Class.hasField(name)) {
+      throwParseError([{
+          'class': Class.getName()
+        }, {
+          'method': 'find'
+        }, {
+          'include': name
+        },
+        'Field with the same name already exists'
+      ]);
+    }
+    const RelatedClass = _.isString(definition.class) ?
+      AstroClass.get(definition.class) : definition.class;
+    if (!AstroClass.isParentOf(RelatedClass)) {
+      throwParseError([{
+          'class': Class.getName()
+        }, {
+          'method': 'find'
+        }, {
+          'include': name
+        },
+        'Related class does not exist'
+      ]);
+    }
+    return {
+      name,
+      field: definition.field,
+      Class: RelatedClass
+    };
+  });
+};
+
+function getIds(value) {
+  return _.filter(_.isArray(value) ? value : [value], (id) => !_.isNil(id));
+};
+
+// Defines loaded documents on a document. They are not part of the document's
+// data, so they are not enumerable and they are never saved.
+function defineIncluded(doc, name, value) {
+  Object.defineProperty(doc, name, {
+    configurable: true,
+    writable: true,
+    enumerable: false,
+    value
+  });
+};
+
+// Loads documents referenced by all documents in the batch using a single
+// query per include.
+function loadBatch(includes, batch) {
+  _.each(includes, ({ name, field, Class: RelatedClass }) => {
+    const ids = _.uniqBy(_.flatMap(batch, ({ rawDoc }) => {
+      return getIds(rawDoc[field]);
+    }), idKey);
+    const loaded = ids.length === 0 ? {} : _.keyBy(RelatedClass.find({
+      _id: {
+        $in: ids
+      }
+    }).fetch(), (doc) => idKey(doc._id));
+
+    _.each(batch, ({ doc, rawDoc }) => {
+      const value = rawDoc[field];
+      let related;
+      if (_.isArray(value)) {
+        related = _.compact(_.map(getIds(value), (id) => loaded[idKey(id)]));
+      }
+      else if (!_.isNil(value)) {
+        related = loaded[idKey(value)];
+      }
+      defineIncluded(doc, name, related);
+    });
+  });
+};
+
+function transformWithIncludes({
+  Class,
+  options,
+  transform
+}) {
+  const includes = parseIncludes(Class, options.include);
+  // Documents transformed by the currently running "fetch", "forEach" or "map"
+  // call of the cursor.
+  let currentBatch;
+
+  // Referenced documents are loaded on the first access to any of them, for
+  // all documents transformed together with the given one. Documents
+  // transformed one by one, e.g. by observers of the cursor or by the
+  // "findOne" method, make up batches of their own, so they never get outdated
+  // referenced documents.
+  const includesTransform = function(rawDoc) {
+    const doc = transform(rawDoc);
+    const batch = currentBatch || [];
+    batch.push({
+      doc,
+      rawDoc
+    });
+
+    _.each(includes, ({ name }) => {
+      Object.defineProperty(doc, name, {
+        configurable: true,
+        enumerable: false,
+        get() {
+          // Batch can not be loaded twice, because loading replaces getters
+          // of all documents in the batch.
+          loadBatch(includes, batch);
+          return doc[name];
+        },
+        set(value) {
+          defineIncluded(doc, name, value);
+        }
+      });
+    });
+
+    return doc;
+  };
+
+  // Transforms all documents of the cursor before passing any of them to the
+  // callback, so referenced documents of all of them are loaded together.
+  const wrapCursor = function(cursor) {
+    const forEach = cursor.forEach;
+    const collect = function() {
+      const docs = [];
+      currentBatch = [];
+      try {
+        forEach.call(cursor, (doc) => {
+          docs.push(doc);
+        });
+      }
+      finally {
+        currentBatch = undefined;
+      }
+      return docs;
+    };
+
+    cursor.fetch = function() {
+      return collect();
+    };
+    cursor.forEach = function(callback, thisArg) {
+      collect().forEach((doc, index) => {
+        callback.call(thisArg, doc, index, cursor);
+      });
+    };
+    cursor.map = function(callback, thisArg) {
+      return collect().map((doc, index) => {
+        return callback.call(thisArg, doc, index, cursor);
+      });
+    };
+
+    return cursor;
+  };
+
+  return {
+    transform: includesTransform,
+    wrapCursor
+  };
+};
+
+export default transformWithIncludes;
\ No newline at end of file
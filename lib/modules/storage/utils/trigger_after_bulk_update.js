@@ -0,0 +1,12 @@
+import _ from 'lodash';
+import Event from '../../events/event.js';
+
+function triggerAfterBulkUpdate(Class, trusted, data) {
+	// Trigger the "afterBulkUpdate" event handlers of a class. The "data" object
+	// contains the "selector", "modifier", "options" and "result" of an update.
+	Class.dispatchEvent(new Event('afterBulkUpdate', _.extend({
+		trusted: trusted
+	}, data)));
+};
+
+export default triggerAfterBulkUpdate;
\ No newline at end of file
@@ -1,11 +1,13 @@
+import _ from 'lodash';
 import Event from '../../events/event.js';
 
-function triggerAfterInsert(doc, trusted) {
-	// Trigger the "afterInsert" event handlers.
-	doc.dispatchEvent(new Event('afterInsert', {
+function triggerAfterInsert(doc, trusted, changes) {
+	// Trigger the "afterInsert" event handlers. The "changes" object contains
+	// the "modifier" and the "modified" fields paths, if they were computed.
+	doc.dispatchEvent(new Event('afterInsert', _.extend({
 		propagates: true,
 		trusted: trusted
-	}));
+	}, changes)));
 };
 
 export default triggerAfterInsert;
\ No newline at end of file
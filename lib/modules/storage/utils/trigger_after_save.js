@@ -1,11 +1,13 @@
+import _ from 'lodash';
 import Event from '../../events/event.js';
 
-function triggerAfterSave(doc, trusted) {
-	// Trigger the "afterSave" event handlers.
-	doc.dispatchEvent(new Event('afterSave', {
+function triggerAfterSave(doc, trusted, changes) {
+	// Trigger the "afterSave" event handlers. The "changes" object contains
+	// the "modifier" and the "modified" fields paths, if they were computed.
+	doc.dispatchEvent(new Event('afterSave', _.extend({
 		propagates: true,
 		trusted: trusted
-	}));
+	}, changes)));
 };
 
 export default triggerAfterSave;
\ No newline at end of file
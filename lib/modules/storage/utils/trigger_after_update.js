@@ -1,11 +1,13 @@
+import _ from 'lodash';
 import Event from '../../events/event.js';
 
-function triggerAfterUpdate(doc, trusted) {
-	// Trigger the "afterUpdate" event handlers.
-	doc.dispatchEvent(new Event('afterUpdate', {
+function triggerAfterUpdate(doc, trusted, changes) {
+	// Trigger the "afterUpdate" event handlers. The "changes" object contains
+	// the "modifier" and the "modified" fields paths, if they were computed.
+	doc.dispatchEvent(new Event('afterUpdate', _.extend({
 		propagates: true,
 		trusted: trusted
-	}));
+	}, changes)));
 };
 
 export default triggerAfterUpdate;
\ No newline at end of file
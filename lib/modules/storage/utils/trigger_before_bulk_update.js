@@ -0,0 +1,18 @@
+import _ from 'lodash';
+import Event from '../../events/event.js';
+
+function triggerBeforeBulkUpdate(Class, trusted, data) {
+	// Trigger the "beforeBulkUpdate" event handlers of a class. The "data"
+	// object contains the "selector", "modifier" and "options" of an update.
+	if (!Class.dispatchEvent(new Event('beforeBulkUpdate', _.extend({
+			cancelable: true,
+			trusted: trusted
+		}, data)))) {
+		// If an event was prevented, then we stop here.
+		throw new Meteor.Error('prevented', 'Operation prevented', {
+			eventName: 'beforeBulkUpdate'
+		});
+	}
+};
+
+export default triggerBeforeBulkUpdate;
\ No newline at end of file
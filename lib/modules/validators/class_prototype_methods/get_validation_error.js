@@ -0,0 +1,11 @@
+import {
+  getValidationError as utilGetValidationError
+} from '../../fields/utils/validation_errors.js';
+
+function getValidationError(name) {
+  let doc = this;
+
+  return utilGetValidationError(doc, name);
+};
+
+export default getValidationError;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import {
+  getValidationErrors as utilGetValidationErrors
+} from '../../fields/utils/validation_errors.js';
+
+function getValidationErrors() {
+  let doc = this;
+
+  return utilGetValidationErrors(doc);
+};
+
+export default getValidationErrors;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import {
+  hasValidationErrors as utilHasValidationErrors
+} from '../../fields/utils/validation_errors.js';
+
+function hasValidationErrors(name) {
+  let doc = this;
+
+  return utilHasValidationErrors(doc, name);
+};
+
+export default hasValidationErrors;
\ No newline at end of file
@@ -1,6 +1,9 @@
 import castNested from '../../fields/utils/cast_nested.js';
 import documentValidate from '../utils/document_validate.js';
 import callMeteorMethod from '../../storage/utils/call_meteor_method.js';
+import getMeteorMethodName from '../../storage/utils/get_meteor_method_name.js';
+import { setValidationErrors } from '../../fields/utils/validation_errors.js';
+import { ValidationError } from 'meteor/mdg:validation-error';
 
 function validate(args = {}, callback) {
   let doc = this;
@@ -44,16 +47,41 @@ function validate(args = {}, callback) {
   // If we are dealing with a remote collection and we are not on the server.
   if (connection && connection !== Meteor.server) {
     // Prepare arguments for meteor method.
-    let methodName = '/Astronomy/validate';
+    let methodName = getMeteorMethodName(Class, 'validate');
+
+    // The Meteor method validates a copy of a document, so we have to store
+    // validation errors on the document ourselves.
+    const storeErrors = (err) => {
+      if (!err) {
+        setValidationErrors(doc, fields);
+      }
+      else if (ValidationError.is(err)) {
+        setValidationErrors(doc, fields, err.details);
+      }
+    };
 
     try {
       // Run Meteor method.
-      return callMeteorMethod(
-        Class, methodName, [methodArgs], callback
+      if (callback) {
+        return callMeteorMethod(
+          Class, methodName, [methodArgs], (err, result) => {
+            storeErrors(err);
+            callback(err, result);
+          }
+        );
+      }
+      const result = callMeteorMethod(
+        Class, methodName, [methodArgs]
       );
+      // Without a callback we only know the result of the simulation.
+      if (simulation) {
+        storeErrors();
+      }
+      return result;
     }
     // Catch stub exceptions.
     catch (err) {
+      storeErrors(err);
       if (callback) {
         callback(err);
         return null;
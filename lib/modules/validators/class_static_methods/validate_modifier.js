@@ -0,0 +1,36 @@
+import modifierValidate from '../utils/modifier_validate.js';
+
+function validateModifier(modifier, options = {}, callback) {
+  const Class = this;
+
+  // If the second argument is callback function then reassign values.
+  if (arguments.length === 2 && Match.test(options, Function)) {
+    callback = options;
+    options = {};
+  }
+
+  const {
+    stopOnFirstError = true
+  } = options;
+
+  // Validate a modifier without loading any document.
+  try {
+    modifierValidate({
+      Class,
+      modifier,
+      stopOnFirstError
+    });
+    if (callback) {
+      callback();
+    }
+  }
+  catch (err) {
+    if (callback) {
+      callback(err);
+      return;
+    }
+    throw err;
+  }
+};
+
+export default validateModifier;
\ No newline at end of file
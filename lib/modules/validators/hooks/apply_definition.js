@@ -1,5 +1,5 @@
 import _ from 'lodash';
-import hasMeteorMethod from '../../storage/utils/has_meteor_method.js';
+import registerMeteorMethods from '../../storage/utils/register_meteor_methods.js';
 import meteorValidate from '../meteor_methods/validate.js';
 
 function onApplyDefinition(Class, parsedDefinition, className) {
@@ -23,15 +23,8 @@ function onApplyDefinition(Class, parsedDefinition, className) {
     connection = Meteor.connection || Meteor.server;
   }
   if (connection) {
-    // Prepare meteor methods to be added.
-    let meteorMethods = {
-      '/Astronomy/validate': meteorValidate
-    };
-    _.each(meteorMethods, (meteorMethod, methodName) => {
-      if (!hasMeteorMethod(connection, methodName)) {
-        // Add meteor method.
-        connection.methods(_.zipObject([methodName], [meteorMethod]));
-      }
+    registerMeteorMethods(Class, connection, {
+      validate: meteorValidate
     });
   }
 
@@ -1,19 +1,30 @@
+// Utils.
+import createAsyncMethod from '../../storage/utils/create_async_method.js';
 // Class static methods.
 import getResolveError from '../class_static_methods/get_resolve_error.js';
 import getValidationOrder from '../class_static_methods/get_validation_order.js';
 import getValidators from '../class_static_methods/get_validators.js';
+import validateModifier from '../class_static_methods/validate_modifier.js';
 // Class prototype methods.
 import validate from '../class_prototype_methods/validate.js';
 import validateAll from '../class_prototype_methods/validate_all.js';
+import getValidationErrors from '../class_prototype_methods/get_validation_errors.js';
+import getValidationError from '../class_prototype_methods/get_validation_error.js';
+import hasValidationErrors from '../class_prototype_methods/has_validation_errors.js';
 
 function onInitClass(Class, className) {
 	// Class static methods.
 	Class.getResolveError = getResolveError;
 	Class.getValidationOrder = getValidationOrder;
 	Class.getValidators = getValidators;
+	Class.validateModifier = validateModifier;
 	// Class prototype methods.
 	Class.prototype.validate = validate;
 	Class.prototype.validateAll = validateAll;
+	Class.prototype.validateAsync = createAsyncMethod('validate', 1);
+	Class.prototype.getValidationErrors = getValidationErrors;
+	Class.prototype.getValidationError = getValidationError;
+	Class.prototype.hasValidationErrors = hasValidationErrors;
 };
 
 export default onInitClass;
\ No newline at end of file
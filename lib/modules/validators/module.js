@@ -31,6 +31,7 @@ import './validators/type/object.js';
 import './validators/type/string.js';
 // Utils.
 import documentValidate from './utils/document_validate.js';
+import modifierValidate from './utils/modifier_validate.js';
 import parseValidators from './utils/parse_validators.js';
 // Hooks.
 import onInitSchema from './hooks/init_schema.js';
@@ -50,6 +51,7 @@ Module.create({
 	onInitClass: onInitClass,
 	utils: {
 		documentValidate: documentValidate,
+		modifierValidate: modifierValidate,
 		parseValidators: parseValidators
 	}
 });
\ No newline at end of file
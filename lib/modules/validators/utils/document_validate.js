@@ -7,9 +7,10 @@ import traverse from '../../fields/utils/traverse.js';
 import ObjectField from '../../fields/object_field.js';
 import ListField from '../../fields/list_field.js';
 import Validators from '../validators.js';
+import { setValidationErrors } from '../../fields/utils/validation_errors.js';
 import { ValidationError } from 'meteor/mdg:validation-error';
 
-function documentValidate(options = {}) {
+function validateFields(options = {}) {
   let {
     doc,
     fields,
@@ -18,12 +19,6 @@ function documentValidate(options = {}) {
     simulation = true
   } = options;
 
-  // Stop execution, if we are not on the server, when the "simulation" flag is
-  // not set.
-  if (!simulation && !Meteor.isServer) {
-    return;
-  }
-
   let Class = doc.constructor;
 
   // Cast nested fields.
@@ -176,4 +171,36 @@ function documentValidate(options = {}) {
   }
 };
 
+function documentValidate(options = {}) {
+  const {
+    doc,
+    fields,
+    prefix = '',
+    simulation = true
+  } = options;
+
+  // Stop execution, if we are not on the server, when the "simulation" flag is
+  // not set.
+  if (!simulation && !Meteor.isServer) {
+    return;
+  }
+
+  // Nested documents are validated as a part of the outermost document, which
+  // stores errors of all its fields.
+  if (prefix !== '') {
+    return validateFields(options);
+  }
+
+  try {
+    validateFields(options);
+    setValidationErrors(doc, fields);
+  }
+  catch (err) {
+    if (ValidationError.is(err)) {
+      setValidationErrors(doc, fields, err.details);
+    }
+    throw err;
+  }
+};
+
 export default documentValidate;
\ No newline at end of file
@@ -0,0 +1,338 @@
+import _ from 'lodash';
+import traverseClass from '../../fields/utils/traverse_class.js';
+import ListField from '../../fields/list_field.js';
+import Validators from '../validators.js';
+import documentValidate from './document_validate.js';
+import { ValidationError } from 'meteor/mdg:validation-error';
+
+// Operators, which values are validated against fields they are setting.
+const settingOperators = ['$set', '$setOnInsert', '$min', '$max'];
+// Operators, which values have to be numbers.
+const numericOperators = ['$inc', '$mul'];
+// Operators, which add elements to lists.
+const addingOperators = ['$push', '$addToSet'];
+// Operators, which remove elements from lists.
+const removingOperators = ['$pull', '$pullAll', '$pop'];
+// All operators, which can be used in a modifier.
+const operators = _.concat(
+  settingOperators, numericOperators, addingOperators, removingOperators,
+  ['$unset', '$rename', '$currentDate']
+);
+
+function throwError({ type, name, value, message }) {
+  throw new ValidationError([{
+    type,
+    name,
+    value,
+    message
+  }], message);
+};
+
+// Validates a value being set under a given path. Validators are executed in
+// the context of an empty document, so validators depending on values of other
+// fields can't see them.
+function validateValue(args) {
+  const {
+    Class,
+    nestedName,
+    field,
+    element,
+    name,
+    value,
+    stopOnFirstError
+  } = args;
+
+  const doc = new Class({}, {
+    defaults: false
+  });
+
+  if (element) {
+    if (field.isClass) {
+      const NestedClass = field.type.class;
+      documentValidate({
+        doc: value instanceof NestedClass ? value : new NestedClass(value),
+        prefix: name + '.',
+        stopOnFirstError
+      });
+    }
+    else if (!_.isNil(value)) {
+      field.type.validate({
+        doc,
+        name,
+        value
+      });
+    }
+    return;
+  }
+
+  doc[nestedName] = value;
+  documentValidate({
+    doc,
+    fields: [nestedName],
+    prefix: name.substr(0, name.lastIndexOf(nestedName)),
+    stopOnFirstError
+  });
+};
+
+// Checks whether a path points to a whole list and not to an element of it.
+function throwIfNotList({ field, element, name, value }) {
+  if (!(field instanceof ListField) || element) {
+    throwError({
+      type: 'array',
+      name,
+      value,
+      message: `The "${name}" field is not a list`
+    });
+  }
+};
+
+// Validates a single path of a modifier and a value being used with a given
+// operator.
+function validatePath(args) {
+  const {
+    Class,
+    operator,
+    name,
+    value,
+    stopOnFirstError
+  } = args;
+
+  traverseClass(Class, name, (NestedClass, nestedName, field, flags) => {
+    const {
+      element,
+      partial
+    } = flags;
+
+    // Only fields defined in the schema can be modified.
+    if (!field) {
+      throwError({
+        type: 'unknown',
+        name,
+        value,
+        message: `The "${name}" field does not exist in the ` +
+          `"${Class.getName()}" class`
+      });
+    }
+    // Immutable fields can only be set when inserting a document.
+    if (field.immutable && operator !== '$setOnInsert') {
+      throwError({
+        type: 'immutable',
+        name,
+        value,
+        message: `The "${name}" field is immutable`
+      });
+    }
+
+    // We can't validate values put deeply into values of the Object type.
+    if (partial) {
+      return;
+    }
+
+    const pathArgs = {
+      Class: NestedClass,
+      nestedName,
+      field,
+      element,
+      name,
+      value,
+      stopOnFirstError
+    };
+
+    if (_.includes(settingOperators, operator)) {
+      validateValue(pathArgs);
+    }
+    else if (operator === '$unset') {
+      validateValue(_.extend(pathArgs, {
+        value: undefined
+      }));
+    }
+    else if (_.includes(numericOperators, operator)) {
+      // Only values of numeric fields can be incremented or multiplied.
+      if (field.type.class !== Number || (field instanceof ListField &&
+        !element)) {
+        throwError({
+          type: 'number',
+          name,
+          value,
+          message: `The "${name}" field is not a number`
+        });
+      }
+      Validators.number({
+        doc: new NestedClass({}, {
+          defaults: false
+        }),
+        name,
+        value
+      });
+    }
+    else if (_.includes(addingOperators, operator)) {
+      throwIfNotList(pathArgs);
+      const elements = _.isPlainObject(value) && _.has(value, '$each') ?
+        value.$each : [value];
+      _.each(elements, (elementValue, index) => {
+        validateValue(_.extend({}, pathArgs, {
+          element: true,
+          name: name + '.' + index,
+          value: elementValue
+        }));
+      });
+    }
+    else if (operator === '$pull' || operator === '$pullAll') {
+      throwIfNotList(pathArgs);
+      if (operator === '$pullAll' && !_.isArray(value)) {
+        throwError({
+          type: 'array',
+          name,
+          value,
+          message: `The "$pullAll" operator requires a list of values for ` +
+            `the "${name}" field`
+        });
+      }
+      // Query conditions of the "$pull" operator can't be validated, so only
+      // values not being plain objects are.
+      const elements = operator === '$pullAll' ? value : [value];
+      _.each(elements, (elementValue, index) => {
+        if (_.isPlainObject(elementValue)) {
+          return;
+        }
+        validateValue(_.extend({}, pathArgs, {
+          element: true,
+          name: name + '.' + index,
+          value: elementValue
+        }));
+      });
+    }
+    else if (operator === '$pop') {
+      throwIfNotList(pathArgs);
+      if (value !== 1 && value !== -1) {
+        throwError({
+          type: 'pop',
+          name,
+          value,
+          message: `The "$pop" operator requires 1 or -1 for the "${name}" ` +
+            `field`
+        });
+      }
+    }
+    else if (operator === '$currentDate') {
+      const isDate = value === true || (_.isPlainObject(value) &&
+        _.size(value) === 1 && value.$type === 'date');
+      if (!isDate) {
+        throwError({
+          type: 'currentDate',
+          name,
+          value,
+          message: `The "$currentDate" operator requires true or ` +
+            `{$type: 'date'} for the "${name}" field`
+        });
+      }
+      if (field.type.class !== Date || (field instanceof ListField &&
+        !element)) {
+        throwError({
+          type: 'date',
+          name,
+          value,
+          message: `The "${name}" field is not a date`
+        });
+      }
+    }
+    else if (operator === '$rename') {
+      // A new name of a field has to exist in the schema too.
+      traverseClass(Class, value, (TargetClass, targetName, targetField) => {
+        if (!targetField) {
+          throwError({
+            type: 'unknown',
+            name: value,
+            value,
+            message: `The "${value}" field does not exist in the ` +
+              `"${Class.getName()}" class`
+          });
+        }
+      });
+    }
+  });
+};
+
+// Validates paths and values of a modifier against the class schema. Paths have
+// to point to mutable fields of a class and values have to pass validation of
+// fields they are set to.
+function modifierValidate(options = {}) {
+  const {
+    Class,
+    modifier,
+    stopOnFirstError = true,
+    simulation = true
+  } = options;
+
+  // Stop execution, if we are not on the server, when the "simulation" flag is
+  // not set.
+  if (!simulation && !Meteor.isServer) {
+    return;
+  }
+
+  // Prepare array for storing errors list.
+  const errors = [];
+
+  // Helper function for catching and collecting errors.
+  const catchValidationError = (func) => {
+    try {
+      func();
+    }
+    catch (err) {
+      if (ValidationError.is(err) && !stopOnFirstError) {
+        _.each(err.details, (details) => {
+          errors.push(details);
+        });
+      }
+      else {
+        throw err;
+      }
+    }
+  };
+
+  // Check operators before validating any path, so a replacement document or
+  // an unsupported operator is never treated as a list of paths.
+  _.each(modifier, (fieldsValues, operator) => {
+    if (!_.includes(operators, operator)) {
+      const message = operator.charAt(0) === '$' ?
+        `The "${operator}" operator is not supported` :
+        'A modifier can only contain update operators';
+      throwError({
+        type: 'operator',
+        name: operator,
+        value: fieldsValues,
+        message
+      });
+    }
+    if (!_.isPlainObject(fieldsValues)) {
+      throwError({
+        type: 'operator',
+        name: operator,
+        value: fieldsValues,
+        message: `The "${operator}" operator requires an object of fields`
+      });
+    }
+  });
+
+  _.each(modifier, (fieldsValues, operator) => {
+    _.each(fieldsValues, (value, name) => {
+      catchValidationError(() => {
+        validatePath({
+          Class,
+          operator,
+          name,
+          value,
+          stopOnFirstError
+        });
+      });
+    });
+  });
+
+  // If we have not thrown any error yet then it means that there are no errors
+  // or we do not throw on the first error.
+  if (errors.length > 0) {
+    throw new ValidationError(errors, errors[0].message);
+  }
+};
+
+export default modifierValidate;
\ No newline at end of file
@@ -16,6 +16,7 @@ Package.onUse(function(api) {
     'ecmascript',
     'es5-shim',
     'ddp',
+    'tracker',
     'mongo',
     'check',
     'minimongo',
@@ -37,6 +38,8 @@ Package.onTest(function(api) {
     'ecmascript',
     'es5-shim',
     'insecure',
+    'ddp',
+    'tracker',
     'mongo',
     'ejson',
     'jagi:astronomy@2.0.1'
@@ -61,7 +64,9 @@ Package.onTest(function(api) {
     'test/modules/validators/create.js',
     'test/modules/validators/apply.js',
     'test/modules/validators/validate.js',
-    'test/modules/validators/validate_callback.js'
+    'test/modules/validators/validate_callback.js',
+    'test/modules/validators/validate_modifier.js',
+    'test/modules/validators/validation_errors.js'
   ], ['client', 'server']);
   // Modules - Storage.
   api.addFiles([
@@ -76,7 +81,21 @@ Package.onTest(function(api) {
     'test/modules/storage/class_remove.js',
     'test/modules/storage/reload.js',
     'test/modules/storage/copy.js',
+    'test/modules/storage/include.js',
+    'test/modules/storage/async.js',
+    'test/modules/storage/named_methods.js',
+    'test/modules/storage/versioned.js',
+    'test/modules/storage/history.js',
+    'test/modules/storage/revisions.js',
+    'test/modules/storage/insert_many.js',
+    'test/modules/storage/bulk_update.js',
+    'test/modules/storage/snapshot.js',
+    'test/modules/storage/get_modifier.js',
   ], ['client', 'server']);
+  api.addFiles([
+    'test/modules/storage/writable_by.js',
+    'test/modules/storage/allow_deny.js'
+  ], 'server');
   // Modules - Events.
   api.addFiles([
     'test/modules/events/order.js',
@@ -90,7 +109,26 @@ Package.onTest(function(api) {
     'test/modules/fields/set.js',
     'test/modules/fields/get.js',
     'test/modules/fields/raw.js',
-    'test/modules/fields/optional.js'
+    'test/modules/fields/optional.js',
+    'test/modules/fields/computed.js',
+    'test/modules/fields/cast.js',
+    'test/modules/fields/undo.js',
+    'test/modules/fields/reactive.js'
+  ], ['client', 'server']);
+  // Modules - Relations.
+  api.addFiles([
+    'test/modules/relations/definition.js'
+  ], ['client', 'server']);
+  // Modules - JSON Schema.
+  api.addFiles([
+    'test/modules/json_schema/to_json_schema.js',
+    'test/modules/json_schema/from_json_schema.js'
+  ], ['client', 'server']);
+  // Behaviors.
+  api.addFiles([
+    'test/behaviors/behaviors_slug.js',
+    'test/behaviors/behaviors_softremove.js',
+    'test/behaviors/behaviors_timestamp.js'
   ], ['client', 'server']);
   // Modules - Indexes.
   api.addFiles([
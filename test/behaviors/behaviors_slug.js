@@ -23,7 +23,7 @@ Tinytest.add('Behaviors - Slug', function(test) {
     name: 'SlugA',
     collection: SlugsA,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       slug: {}
@@ -34,7 +34,7 @@ Tinytest.add('Behaviors - Slug', function(test) {
     name: 'SlugB',
     collection: SlugsB,
     fields: {
-      title: 'string'
+      title: String
     },
     behaviors: {
       slug: {
@@ -85,7 +85,7 @@ Tinytest.add('Behaviors - Slug', function(test) {
   test.isTrue(_.isString(slugB1.get('slugged')),
     'The slug should be created from the value of the "title" field'
   );
-  test.isTrue(_.contains(slugB1.get('slugged'), '_'),
+  test.isTrue(_.includes(slugB1.get('slugged'), '_'),
     'The prefix character should be "_"'
   );
 
@@ -101,4 +101,32 @@ Tinytest.add('Behaviors - Slug', function(test) {
   test.equal(slugB2.get('slugged'), 'slug2_' + expected,
     'The value of the slag field should not be unique'
   );
+
+  // Documents without a slug do not break the unique index.
+  if (Meteor.isServer) {
+    var EmptySlugs = new Mongo.Collection('empty_slugs');
+    EmptySlugs.remove({});
+
+    var EmptySlug = Astro.Class.create({
+      name: 'EmptySlug',
+      collection: EmptySlugs,
+      fields: {
+        name: {
+          type: String,
+          optional: true
+        }
+      },
+      behaviors: {
+        slug: {}
+      }
+    });
+
+    var emptySlug1 = new EmptySlug();
+    emptySlug1.save();
+    var emptySlug2 = new EmptySlug();
+    emptySlug2.save();
+    test.equal(EmptySlugs.find().count(), 2,
+      'Many documents without a slug should be saved'
+    );
+  }
 });
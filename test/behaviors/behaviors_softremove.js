@@ -28,7 +28,7 @@ Tinytest.add('Behaviors - Softremove', function(test) {
     name: 'SoftremoveA',
     collection: SoftremovesA,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       softremove: {}
@@ -39,7 +39,7 @@ Tinytest.add('Behaviors - Softremove', function(test) {
     name: 'SoftremoveB',
     collection: SoftremovesB,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       softremove: {
@@ -54,7 +54,7 @@ Tinytest.add('Behaviors - Softremove', function(test) {
     name: 'SoftremoveC',
     collection: SoftremovesC,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       softremove: {
@@ -107,4 +107,35 @@ Tinytest.add('Behaviors - Softremove', function(test) {
   test.equal(SoftremoveC.find().count(), 0,
     'Wrong number of fetched documents from the "Class.find()" method call'
   );
+
+  test.equal(SoftremoveA.find({}, {
+    withRemoved: true
+  }).count(), 1,
+    'Soft removed documents should be fetched with the "withRemoved" option'
+  );
+  test.isUndefined(SoftremoveA.findOne(softremoveA._id),
+    'Soft removed document should not be fetched by id'
+  );
+  test.equal(SoftremoveA.findOne(softremoveA._id, {
+    withRemoved: true
+  })._id, softremoveA._id,
+    'Soft removed document should be fetched by id with the "withRemoved" ' +
+    'option'
+  );
+
+  softremoveA.softRestore();
+  test.isFalse(softremoveA.get('removed'),
+    'The "removed" flag should be cleared after restoring document'
+  );
+  test.isUndefined(softremoveA.get('removedAt'),
+    'The "removedAt" field should be cleared after restoring document'
+  );
+  test.equal(SoftremoveA.find().count(), 1,
+    'Restored document should be fetched from the "Class.find()" method call'
+  );
+
+  SoftremoveA.softRemove({});
+  test.equal(SoftremoveA.find().count(), 0,
+    'Documents should be soft removed from the class level'
+  );
 });
@@ -28,7 +28,7 @@ Tinytest.addAsync('Behaviors - Timestamp', function(test, next) {
     name: 'TimestampA',
     collection: TimestampsA,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       timestamp: {}
@@ -39,7 +39,7 @@ Tinytest.addAsync('Behaviors - Timestamp', function(test, next) {
     name: 'TimestampB',
     collection: TimestampsB,
     fields: {
-      name: 'string'
+      name: String
     },
     behaviors: {
       timestamp: {
@@ -53,7 +53,7 @@ Tinytest.addAsync('Behaviors - Timestamp', function(test, next) {
   name: 'TimestampC',
   collection: TimestampsC,
   fields: {
-    name: 'string'
+    name: String
   },
   behaviors: {
     timestamp: {
@@ -0,0 +1,92 @@
+Tinytest.add('Modules - Fields - Cast', function(test) {
+  reset();
+
+  let CastNested = Astro.Class.create({
+    name: 'CastNested',
+    fields: {
+      number: {
+        type: Number,
+        optional: true
+      }
+    }
+  });
+
+  let Cast = Astro.Class.create({
+    name: 'Cast',
+    fields: {
+      number: {
+        type: Number,
+        optional: true
+      },
+      boolean: {
+        type: Boolean,
+        optional: true
+      },
+      date: {
+        type: Date,
+        optional: true
+      },
+      numbers: {
+        type: [Number],
+        optional: true
+      },
+      one: {
+        type: CastNested,
+        optional: true
+      }
+    }
+  });
+
+  let doc = new Cast({
+    number: '123',
+    boolean: 'false',
+    date: '2000-01-01T00:00:00.000Z',
+    numbers: ['1', '2'],
+    one: {
+      number: '456'
+    }
+  }, {
+    cast: true
+  });
+
+  test.equal(doc.number, 123,
+    'The "number" field should be casted on initialization'
+  );
+  test.equal(doc.boolean, false,
+    'The "boolean" field should be casted on initialization'
+  );
+  test.equal(doc.date, new Date(Date.UTC(2000, 0, 1)),
+    'The "date" field should be casted on initialization'
+  );
+  test.equal(doc.numbers, [1, 2],
+    'The "numbers" field should be casted on initialization'
+  );
+  test.equal(doc.one.number, 456,
+    'The "one.number" field should be casted on initialization'
+  );
+
+  doc.set('number', '321', {
+    cast: true
+  });
+  test.equal(doc.number, 321,
+    'The "number" field should be casted on setting a value'
+  );
+
+  doc.set({
+    boolean: 'true',
+    'one.number': '654'
+  }, {
+    cast: true
+  });
+  test.equal(doc.boolean, true,
+    'The "boolean" field should be casted on setting multiple values'
+  );
+  test.equal(doc.one.number, 654,
+    'The "one.number" field should be casted on setting multiple values'
+  );
+
+  doc.set('number', '111');
+  test.equal(doc.number, '111',
+    'Values should not be casted without the "cast" option'
+  );
+});
@@ -0,0 +1,84 @@
+import _ from 'lodash';
+
+Tinytest.add('Modules - Fields - Computed', function(test) {
+  reset();
+
+  let ComputedNested = Astro.Class.create({
+    name: 'ComputedNested',
+    fields: {
+      price: {
+        type: Number
+      },
+      quantity: {
+        type: Number
+      },
+      total: {
+        type: Number,
+        dependencies: ['price', 'quantity'],
+        compute(doc) {
+          return doc.price * doc.quantity;
+        }
+      }
+    }
+  });
+
+  let Computed = Astro.Class.create({
+    name: 'Computed',
+    fields: {
+      firstName: {
+        type: String
+      },
+      lastName: {
+        type: String
+      },
+      fullName: {
+        type: String,
+        dependencies: ['firstName', 'lastName'],
+        compute(doc) {
+          return doc.firstName + ' ' + doc.lastName;
+        }
+      },
+      items: {
+        type: [ComputedNested]
+      }
+    }
+  });
+
+  let doc = new Computed({
+    firstName: 'John',
+    lastName: 'Smith',
+    items: [{
+      price: 2,
+      quantity: 3
+    }]
+  });
+
+  test.equal(doc.get('fullName'), 'John Smith',
+    'The computed field should be computed on initialization'
+  );
+  test.equal(doc.get('items.0.total'), 6,
+    'The nested computed field should be computed on initialization'
+  );
+
+  doc.set('firstName', 'Jane');
+  test.equal(doc.get('fullName'), 'Jane Smith',
+    'The computed field should be recomputed on setting a dependency'
+  );
+
+  doc.set('items.0.quantity', 5);
+  test.equal(doc.get('items.0.total'), 10,
+    'The nested computed field should be recomputed on setting a dependency'
+  );
+
+  doc.set('fullName', 'Another Name');
+  test.equal(doc.get('fullName'), 'Jane Smith',
+    'It should not be possible to set the computed field'
+  );
+
+  test.isFalse(_.has(doc.raw(), 'fullName'),
+    'The computed field should not be a part of the raw data'
+  );
+  test.isFalse(_.has(doc.raw('items.0'), 'total'),
+    'The nested computed field should not be a part of the raw data'
+  );
+});
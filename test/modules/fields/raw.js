@@ -55,4 +55,76 @@ Tinytest.add('Modules - Fields - Raw', function(test) {
   test.equal(doc.raw('many.0.string'), 'abc',
     'Wrong raw value get from the "many.0.string" field'
   );
-});
\ No newline at end of file
+});
+
+Tinytest.add('Modules - Fields - Raw - Type', function(test) {
+  reset();
+
+  class Money {
+    constructor(amount) {
+      this.amount = amount;
+    }
+  };
+
+  Astro.Type.create({
+    name: 'RawMoney',
+    class: Money,
+    raw(value) {
+      return Math.round(value.amount * 100);
+    }
+  });
+
+  let RawTypeClass = Astro.Class.create({
+    name: 'RawTypeClass',
+    fields: {
+      price: {
+        type: Money
+      },
+      prices: {
+        type: [Money]
+      }
+    }
+  });
+
+  let doc = new RawTypeClass({
+    price: new Money(1.5),
+    prices: [new Money(2), new Money(0.25)]
+  });
+
+  test.equal(doc.raw('price'), 150,
+    'The "raw" function of a type should be used for the "price" field'
+  );
+  test.equal(doc.raw('prices'), [200, 25],
+    'The "raw" function of a type should be used for the "prices" field'
+  );
+  test.equal(doc.raw('prices.1'), 25,
+    'The "raw" function of a type should be used for the "prices.1" field'
+  );
+  test.instanceOf(doc.get('price'), Money,
+    'The "get" method should return a value of a type class'
+  );
+
+  const RawTypeItems = new Mongo.Collection(null);
+  let RawTypeItem = Astro.Class.create({
+    name: 'RawTypeItem',
+    collection: RawTypeItems,
+    fields: {
+      price: {
+        type: Money
+      }
+    }
+  });
+
+  let item = new RawTypeItem({
+    price: new Money(1.5)
+  });
+  item.save();
+  let fetchedItem = RawTypeItem.findOne(item._id);
+  test.equal(fetchedItem.raw('price'), 150,
+    'The stored value should not be converted again'
+  );
+  fetchedItem.save();
+  test.equal(RawTypeItems.findOne(item._id).price, 150,
+    'Saving a fetched document should not change the stored value'
+  );
+});
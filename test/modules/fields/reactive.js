@@ -0,0 +1,130 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Fields - Reactive', function(test) {
+  reset();
+
+  const ReactiveAddress = Class.create({
+    name: 'ReactiveAddress',
+    fields: {
+      city: {
+        type: String,
+        optional: true
+      }
+    }
+  });
+
+  const ReactiveItems = new Mongo.Collection(null);
+  const ReactiveItem = Class.create({
+    name: 'ReactiveItem',
+    collection: ReactiveItems,
+    reactive: true,
+    fields: {
+      name: {
+        type: String,
+        optional: true
+      },
+      count: {
+        type: Number,
+        default: 0
+      },
+      address: {
+        type: ReactiveAddress,
+        default: () => ({})
+      }
+    }
+  });
+
+  const doc = new ReactiveItem();
+  doc.save();
+
+  const runs = {
+    name: 0,
+    count: 0,
+    city: 0,
+    address: 0,
+    modified: 0
+  };
+  let modified;
+  const computations = [
+    Tracker.autorun(() => {
+      doc.get('name');
+      runs.name++;
+    }),
+    Tracker.autorun(() => {
+      doc.get('count');
+      runs.count++;
+    }),
+    Tracker.autorun(() => {
+      doc.get('address.city');
+      runs.city++;
+    }),
+    Tracker.autorun(() => {
+      doc.get('address');
+      runs.address++;
+    }),
+    Tracker.autorun(() => {
+      modified = doc.isModified('name');
+      runs.modified++;
+    })
+  ];
+
+  doc.set('name', 'abc');
+  Tracker.flush();
+  test.equal(runs, {
+    name: 2,
+    count: 1,
+    city: 1,
+    address: 1,
+    modified: 2
+  }, 'Only computations depending on a set field should rerun');
+  test.isTrue(modified, 'The modified state should be reactive');
+
+  doc.set('address.city', 'NY');
+  Tracker.flush();
+  test.equal(runs.city, 2, 'Computations depending on a nested field rerun');
+  test.equal(runs.address, 2,
+    'Computations depending on a parent field should rerun'
+  );
+
+  doc.set('address', {
+    city: 'LA'
+  });
+  Tracker.flush();
+  test.equal(runs.city, 3,
+    'Computations depending on a nested field of a set field should rerun'
+  );
+
+  doc.save();
+  Tracker.flush();
+  test.isFalse(modified,
+    'Saving a document should rerun computations depending on modifications'
+  );
+  test.equal(runs.count, 1,
+    'Computations depending on a not modified field should not rerun'
+  );
+
+  computations.forEach((computation) => computation.stop());
+
+  // Not reactive classes.
+  const NotReactiveItem = Class.create({
+    name: 'NotReactiveItem',
+    fields: {
+      name: {
+        type: String,
+        optional: true
+      }
+    }
+  });
+  const notReactiveDoc = new NotReactiveItem();
+  let notReactiveRuns = 0;
+  const computation = Tracker.autorun(() => {
+    notReactiveDoc.get('name');
+    notReactiveRuns++;
+  });
+  notReactiveDoc.set('name', 'abc');
+  Tracker.flush();
+  test.equal(notReactiveRuns, 1,
+    'Documents of not reactive classes should not be reactive'
+  );
+  computation.stop();
+});
@@ -0,0 +1,121 @@
+import { Class, Astro } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Fields - Undo', function(test) {
+  reset();
+
+  const UndoAddress = Class.create({
+    name: 'UndoAddress',
+    fields: {
+      city: {
+        type: String,
+        optional: true
+      }
+    }
+  });
+
+  const UndoItems = new Mongo.Collection(null);
+  const UndoItem = Class.create({
+    name: 'UndoItem',
+    collection: UndoItems,
+    fields: {
+      name: {
+        type: String,
+        optional: true
+      },
+      count: {
+        type: Number,
+        default: 0
+      },
+      address: {
+        type: UndoAddress,
+        optional: true
+      }
+    }
+  });
+
+  const doc = new UndoItem();
+  test.isFalse(doc.canUndo(), 'A new document should not have changes to undo');
+
+  // Undo and redo single changes.
+  doc.set('name', 'a');
+  doc.set('name', 'b');
+  test.isTrue(doc.canUndo(), 'Changes should be undoable');
+  doc.undo();
+  test.equal(doc.name, 'a', 'The last change should be undone');
+  test.isTrue(doc.canRedo(), 'An undone change should be redoable');
+  doc.redo();
+  test.equal(doc.name, 'b', 'The last change should be redone');
+
+  // Undo multiple fields set at once.
+  doc.set({
+    name: 'c',
+    count: 5
+  });
+  doc.undo();
+  test.equal(doc.name, 'b', 'All fields set at once should be undone');
+  test.equal(doc.count, 0, 'All fields set at once should be undone');
+
+  // A new change clears the redo stack.
+  doc.set('count', 1);
+  test.isFalse(doc.canRedo(), 'A new change should clear the redo stack');
+
+  // Nested fields.
+  doc.set('address', {
+    city: 'NY'
+  });
+  doc.set('address.city', 'LA');
+  doc.undo();
+  test.equal(doc.address.city, 'NY', 'Nested fields should be undone');
+  test.instanceOf(doc.address, UndoAddress,
+    'Nested documents should be casted after undo'
+  );
+
+  // Checkpoints.
+  doc.checkpoint();
+  doc.set('name', 'x');
+  doc.set('name', 'y');
+  doc.undo({
+    toCheckpoint: true
+  });
+  test.equal(doc.name, 'b', 'All changes up to a checkpoint should be undone');
+  doc.redo({
+    toCheckpoint: true
+  });
+  test.equal(doc.name, 'y', 'All changes up to a checkpoint should be redone');
+
+  // Integration with dirty tracking.
+  doc.save();
+  doc.set('name', 'z');
+  test.isTrue(doc.isModified('name'), 'A document should be modified');
+  doc.undo();
+  test.isFalse(doc.isModified(),
+    'Undoing to the saved state should report no modifications'
+  );
+
+  // Cloned documents do not have changes to undo.
+  test.isFalse(EJSON.clone(doc).canUndo(),
+    'Cloned documents should not have changes to undo'
+  );
+
+  // The oldest changes are dropped past the history limit.
+  const undoHistoryLimit = Astro.Config.undoHistoryLimit;
+  Astro.Config.undoHistoryLimit = 2;
+  try {
+    const limitedDoc = new UndoItem();
+    limitedDoc.set('name', 'a');
+    limitedDoc.checkpoint();
+    limitedDoc.set('name', 'b');
+    limitedDoc.set('name', 'c');
+    limitedDoc.undo();
+    limitedDoc.undo();
+    test.equal(limitedDoc.name, 'a',
+      'Changes within the history limit should be undone'
+    );
+    test.isFalse(limitedDoc.canUndo(),
+      'Changes past the history limit should be dropped'
+    );
+  }
+  finally {
+    Astro.Config.undoHistoryLimit = undoHistoryLimit;
+  }
+});
@@ -0,0 +1,158 @@
+import _ from 'lodash';
+import { Class, Enum } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - JSON Schema - From JSON Schema', function(test) {
+  reset();
+
+  const Product = Class.fromJSONSchema('JSONSchemaProduct', {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 3
+      },
+      price: {
+        type: 'number',
+        minimum: 0
+      },
+      quantity: {
+        type: 'integer',
+        default: 1
+      },
+      stock: {
+        type: ['integer', 'null']
+      },
+      status: {
+        type: 'string',
+        enum: ['draft', 'published']
+      },
+      priority: {
+        enum: ['low', 'high', null]
+      },
+      releasedAt: {
+        type: 'string',
+        format: 'date-time'
+      },
+      dimensions: {
+        type: 'object',
+        properties: {
+          width: {
+            type: 'number'
+          },
+          height: {
+            type: 'number'
+          }
+        },
+        required: ['width', 'height']
+      },
+      tags: {
+        type: 'array',
+        maxItems: 2,
+        items: {
+          type: 'string',
+          maxLength: 5
+        }
+      }
+    },
+    required: ['name', 'price', 'status', 'priority']
+  });
+
+  test.isTrue(Class.has('JSONSchemaProduct'),
+    'The class should be created'
+  );
+  test.isTrue(Class.has('JSONSchemaProductDimensions'),
+    'The nested class should be created'
+  );
+  test.isTrue(_.has(Enum.enums, 'JSONSchemaProductStatus'),
+    'The enum should be created'
+  );
+  test.isTrue(Product.getField('tags').type.class === String,
+    'The "tags" field should be a list of strings'
+  );
+  test.isTrue(Product.getField('releasedAt').type.class === Date,
+    'The "releasedAt" field should be a date'
+  );
+  test.isFalse(Product.getField('name').optional,
+    'Required properties should not be optional'
+  );
+  test.isTrue(Product.getField('tags').optional,
+    'Not required properties should be optional'
+  );
+  test.equal(Enum.enums.JSONSchemaProductPriority.getIdentifiers(),
+    ['low', 'high'],
+    'The "null" value should not be an identifier of the enum'
+  );
+  test.isTrue(Product.getField('priority').optional,
+    'Properties allowing the "null" value should be optional'
+  );
+
+  const product = new Product({
+    name: 'Table',
+    price: 100,
+    status: 'draft',
+    dimensions: {
+      width: 80,
+      height: 120
+    },
+    tags: ['wood']
+  });
+  test.equal(product.quantity, 1,
+    'The default value should be set'
+  );
+  product.priority = null;
+  test.isUndefined(product.validate({
+    stopOnFirstError: false
+  }), 'The valid document should pass validation');
+
+  product.set({
+    name: 'TV',
+    price: -1,
+    quantity: 1.5,
+    stock: 2.5,
+    status: 'removed',
+    tags: ['furniture']
+  });
+  try {
+    product.validate({
+      stopOnFirstError: false
+    });
+  }
+  catch (err) {
+    const names = _.map(err.details, 'name');
+    _.each([
+      'name', 'price', 'quantity', 'stock', 'status', 'tags.0'
+    ], (name) => {
+      test.isTrue(_.includes(names, name),
+        `The "${name}" field should not pass validation`
+      );
+    });
+  }
+});
+
+Tinytest.add('Modules - JSON Schema - From JSON Schema - Names', function(test) {
+  reset();
+
+  test.throws(() => {
+    Class.fromJSONSchema('JSONSchemaPerson', {
+      type: 'object',
+      properties: {
+        home_address: {
+          type: 'object',
+          properties: {
+            city: {
+              type: 'string'
+            }
+          }
+        },
+        homeAddress: {
+          type: 'object',
+          properties: {
+            street: {
+              type: 'string'
+            }
+          }
+        }
+      }
+    });
+  }, 'already exists');
+});
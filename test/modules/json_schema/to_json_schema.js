@@ -0,0 +1,140 @@
+import { Class, Enum } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - JSON Schema - To JSON Schema', function(test) {
+  reset();
+
+  const JSONSchemaStatus = Enum.create({
+    name: 'JSONSchemaStatus',
+    identifiers: ['DRAFT', 'PUBLISHED']
+  });
+
+  const JSONSchemaAddress = Class.create({
+    name: 'JSONSchemaAddress',
+    fields: {
+      city: {
+        type: String,
+        validators: [{
+          type: 'maxLength',
+          param: 20
+        }]
+      },
+      zip: {
+        type: String,
+        optional: true,
+        validators: [{
+          type: 'regexp',
+          param: /^\d{5}$/
+        }]
+      }
+    }
+  });
+
+  const JSONSchemaUser = Class.create({
+    name: 'JSONSchemaUser',
+    fields: {
+      name: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 3
+        }]
+      },
+      email: {
+        type: String,
+        validators: [{
+          type: 'email'
+        }]
+      },
+      age: {
+        type: Number,
+        optional: true,
+        validators: [{
+          type: 'gte',
+          param: 18
+        }]
+      },
+      status: {
+        type: JSONSchemaStatus,
+        default: JSONSchemaStatus.DRAFT
+      },
+      address: {
+        type: JSONSchemaAddress,
+        optional: true
+      },
+      tags: {
+        type: [String],
+        optional: true,
+        validators: [{
+          type: 'maxLength',
+          param: 2
+        }, {
+          type: 'every',
+          param: [{
+            type: 'choice',
+            param: ['a', 'b']
+          }]
+        }]
+      },
+      birthDate: {
+        type: Date,
+        optional: true
+      },
+      temp: {
+        type: String,
+        transient: true
+      }
+    }
+  });
+
+  test.equal(JSONSchemaUser.toJSONSchema(), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'JSONSchemaUser',
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 3
+      },
+      email: {
+        type: 'string',
+        format: 'email'
+      },
+      age: {
+        type: 'number',
+        minimum: 18
+      },
+      status: {
+        enum: [0, 1],
+        default: 0
+      },
+      address: {
+        title: 'JSONSchemaAddress',
+        type: 'object',
+        properties: {
+          city: {
+            type: 'string',
+            maxLength: 20
+          },
+          zip: {
+            type: 'string',
+            pattern: '^\\d{5}$'
+          }
+        },
+        required: ['city']
+      },
+      tags: {
+        type: 'array',
+        items: {
+          type: 'string',
+          enum: ['a', 'b']
+        },
+        maxItems: 2
+      },
+      birthDate: {
+        type: 'string',
+        format: 'date-time'
+      }
+    },
+    required: ['name', 'email', 'status']
+  }, 'Wrong JSON Schema generated from the class');
+});
@@ -0,0 +1,113 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Relations - Definition', function(test) {
+  reset();
+
+  const Authors = new Mongo.Collection(null);
+  const Posts = new Mongo.Collection(null);
+  const Profiles = new Mongo.Collection(null);
+
+  const Author = Class.create({
+    name: 'RelationAuthor',
+    collection: Authors,
+    fields: {
+      name: String
+    },
+    relations: {
+      posts: {
+        type: 'hasMany',
+        class: 'RelationPost',
+        foreign: 'authorId'
+      },
+      profile: {
+        type: 'hasOne',
+        class: 'RelationProfile',
+        foreign: 'authorId'
+      }
+    }
+  });
+
+  const Post = Class.create({
+    name: 'RelationPost',
+    collection: Posts,
+    fields: {
+      title: String,
+      authorId: String
+    },
+    relations: {
+      author: {
+        type: 'belongsTo',
+        class: Author
+      }
+    }
+  });
+
+  const Profile = Class.create({
+    name: 'RelationProfile',
+    collection: Profiles,
+    fields: {
+      bio: String,
+      authorId: String
+    }
+  });
+
+  test.isTrue(Author.hasRelation('posts'),
+    'The "posts" relation has not been defined'
+  );
+  test.equal(Post.getRelation('author').local, 'authorId',
+    'The local key of the "belongsTo" relation should default to "authorId"'
+  );
+
+  const author = new Author({
+    name: 'Author'
+  });
+  author.save();
+  const post = new Post({
+    title: 'Post',
+    authorId: author._id
+  });
+  post.save();
+  const profile = new Profile({
+    bio: 'Bio',
+    authorId: author._id
+  });
+  profile.save();
+
+  test.equal(author.posts().count(), 1,
+    'The "posts" relation should return a cursor of related documents'
+  );
+  test.instanceOf(post.author(), Author,
+    'The "author" relation should return a related document'
+  );
+  test.equal(author.profile()._id, profile._id,
+    'The "profile" relation should return a related document'
+  );
+
+  Posts.insert({
+    title: 'Orphan'
+  });
+  const unsavedAuthor = new Author({
+    name: 'Unsaved'
+  });
+  test.equal(unsavedAuthor.posts().count(), 0,
+    'The "hasMany" relation without the local key should not return documents'
+  );
+  test.isUndefined(unsavedAuthor.profile(),
+    'The "hasOne" relation without the local key should not return a document'
+  );
+
+  test.throws(function() {
+    Class.create({
+      name: 'RelationComment',
+      fields: {
+        text: String
+      },
+      relations: {
+        post: {
+          type: 'belongsTo',
+          class: Post
+        }
+      }
+    });
+  }, 'Field does not exist');
+});
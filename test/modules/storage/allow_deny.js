@@ -0,0 +1,150 @@
+import _ from 'lodash';
+import { Class, Module } from 'meteor/jagi:astronomy';
+import { DDP } from 'meteor/ddp';
+
+Tinytest.add('Modules - Storage - Allow deny', function(test) {
+  reset();
+
+  const {
+    classUpdate,
+    documentInsert,
+    documentUpdate,
+    documentRemove
+  } = Module.get('storage').utils;
+
+  const AllowDenyPosts = new Mongo.Collection(null);
+  const AllowDenyPost = Class.create({
+    name: 'AllowDenyPost',
+    collection: AllowDenyPosts,
+    fields: {
+      title: String,
+      locked: {
+        type: Boolean,
+        default: false
+      }
+    },
+    allow: {
+      insert(userId, doc, modifiedFields) {
+        return true;
+      },
+      update(userId, doc, modifiedFields) {
+        return !_.includes(modifiedFields, 'locked');
+      }
+    },
+    deny: {
+      insert(userId, doc) {
+        return doc.title === 'Forbidden';
+      }
+    }
+  });
+
+  const insertedPost = new AllowDenyPost({
+    title: 'Allowed'
+  });
+  documentInsert({
+    doc: insertedPost,
+    trusted: false
+  });
+  test.equal(AllowDenyPosts.find().count(), 1,
+    'The insert operation should be allowed'
+  );
+
+  const deniedPost = new AllowDenyPost({
+    title: 'Forbidden'
+  });
+  try {
+    documentInsert({
+      doc: deniedPost,
+      trusted: false
+    });
+    test.fail('The insert operation should be denied');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+
+  insertedPost.title = 'Changed';
+  test.equal(documentUpdate({
+    doc: insertedPost,
+    trusted: false
+  }), 1, 'The update operation should be allowed');
+
+  insertedPost.locked = true;
+  try {
+    documentUpdate({
+      doc: insertedPost,
+      trusted: false
+    });
+    test.fail('The update of the "locked" field should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+
+  // There are no rules for the remove operation, so the "secured" flag is
+  // used.
+  try {
+    documentRemove({
+      doc: insertedPost,
+      trusted: false
+    });
+    test.fail('The remove operation should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+
+  // Update rules get a document as it's stored before the update.
+  const OwnedPosts = new Mongo.Collection(null);
+  const OwnedPost = Class.create({
+    name: 'OwnedPost',
+    collection: OwnedPosts,
+    fields: {
+      title: String,
+      ownerId: String
+    },
+    allow: {
+      update(userId, doc, modifiedFields, modifier) {
+        return doc.ownerId === userId;
+      }
+    }
+  });
+  const ownedId = OwnedPosts.insert({
+    title: 'Owned',
+    ownerId: 'owner'
+  });
+  const updateAs = (userId, modifier) => {
+    return DDP._CurrentInvocation.withValue({
+      userId
+    }, () => {
+      return classUpdate({
+        className: 'OwnedPost',
+        selector: ownedId,
+        modifier,
+        options: {},
+        trusted: false
+      });
+    });
+  };
+
+  try {
+    updateAs('intruder', {
+      $set: {
+        ownerId: 'intruder'
+      }
+    });
+    test.fail('Taking over a document should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+  test.equal(OwnedPosts.findOne(ownedId).ownerId, 'owner',
+    'The owner of a document should not change'
+  );
+
+  test.equal(updateAs('owner', {
+    $set: {
+      title: 'Changed'
+    }
+  }), 1, 'The owner should be allowed to update a document');
+});
@@ -0,0 +1,113 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.addAsync('Modules - Storage - Async', function(test, onComplete) {
+  reset();
+
+  const AsyncItems = new Mongo.Collection(null);
+  const AsyncItem = Class.create({
+    name: 'AsyncItem',
+    collection: AsyncItems,
+    fields: {
+      name: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 3
+        }]
+      },
+      count: {
+        type: Number,
+        default: 0
+      }
+    }
+  });
+
+  const item = new AsyncItem({
+    name: 'abc'
+  });
+
+  item.validateAsync().then(() => {
+    return item.saveAsync();
+  }).then((id) => {
+    test.equal(id, item._id,
+      'The "saveAsync" method should resolve with the document id'
+    );
+    item.name = 'a';
+    return item.saveAsync().then(() => {
+      test.fail('The "saveAsync" method should reject invalid documents');
+    }, (err) => {
+      test.equal(err.error, 'validation-error',
+        'The "saveAsync" method should reject with the validation error'
+      );
+      item.name = 'abcd';
+      return item.saveAsync();
+    });
+  }).then((count) => {
+    test.equal(count, 1,
+      'The "saveAsync" method should resolve with the number of updated ' +
+      'documents'
+    );
+    return AsyncItem.insertAsync({
+      name: 'def'
+    });
+  }).then((id) => {
+    test.isTrue(AsyncItems.find(id).count() === 1,
+      'The "insertAsync" method should insert a document'
+    );
+    return AsyncItem.updateAsync({}, {
+      $inc: {
+        count: 1
+      }
+    }, {
+      multi: true
+    });
+  }).then((count) => {
+    test.equal(count, 2,
+      'The "updateAsync" method should resolve with the number of updated ' +
+      'documents'
+    );
+    return AsyncItem.upsertAsync({
+      name: 'ghi'
+    }, {
+      $set: {
+        count: 5
+      }
+    });
+  }).then((result) => {
+    test.isTrue(AsyncItems.find(result.insertedId).count() === 1,
+      'The "upsertAsync" method should resolve with the upsert result'
+    );
+    // Omit optional arguments.
+    return AsyncItem.updateAsync(result.insertedId, {
+      $set: {
+        count: 6
+      }
+    });
+  }).then((count) => {
+    test.equal(count, 1,
+      'The "updateAsync" method should resolve without passing options'
+    );
+    return AsyncItem.insertManyAsync([{
+      name: 'jkl'
+    }]);
+  }).then((ids) => {
+    test.length(ids, 1,
+      'The "insertManyAsync" method should resolve without passing options'
+    );
+    return item.removeAsync();
+  }).then((count) => {
+    test.equal(count, 1,
+      'The "removeAsync" method should remove a document'
+    );
+    return AsyncItem.removeAsync({});
+  }).then((count) => {
+    test.equal(count, 3,
+      'The static "removeAsync" method should remove documents'
+    );
+    test.equal(AsyncItems.find().count(), 0,
+      'All documents should be removed'
+    );
+  }).catch((err) => {
+    test.fail(err.message);
+  }).then(onComplete);
+});
@@ -0,0 +1,141 @@
+import { Class, Module } from 'meteor/jagi:astronomy';
+import _ from 'lodash';
+
+Tinytest.add('Modules - Storage - Bulk update', function(test) {
+  reset();
+
+  const {
+    classUpdate
+  } = Module.get('storage').utils;
+
+  const events = [];
+  const BulkItems = new Mongo.Collection(null);
+  const BulkItem = Class.create({
+    name: 'BulkItem',
+    collection: BulkItems,
+    fields: {
+      name: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 3
+        }]
+      },
+      tags: {
+        type: [String],
+        default: () => []
+      },
+      count: {
+        type: Number,
+        default: 0
+      }
+    },
+    events: {
+      beforeUpdate(e) {
+        events.push('beforeUpdate');
+      },
+      beforeBulkUpdate(e) {
+        events.push('beforeBulkUpdate');
+        test.equal(e.currentTarget, BulkItem,
+          'The class should be a target of the "beforeBulkUpdate" event'
+        );
+        test.equal(e.selector, {
+          count: 0
+        }, 'The selector should be passed to the "beforeBulkUpdate" event');
+      },
+      afterBulkUpdate(e) {
+        events.push('afterBulkUpdate:' + e.result);
+      }
+    }
+  });
+
+  _.each(['abc', 'def', 'ghi'], (name, index) => {
+    BulkItem.insert({
+      name,
+      count: index === 2 ? 1 : 0
+    });
+  });
+
+  const result = BulkItem.update({
+    count: 0
+  }, {
+    $set: {
+      name: 'xyz'
+    },
+    $push: {
+      tags: 'bulk'
+    }
+  }, {
+    bulk: true
+  });
+  test.equal(result, 2, 'All matching documents should be updated');
+  test.equal(BulkItems.find({
+    name: 'xyz',
+    tags: 'bulk'
+  }).count(), 2, 'Documents should be updated with the modifier');
+  test.equal(events, ['beforeBulkUpdate', 'afterBulkUpdate:2'],
+    'Only the class level events should be triggered'
+  );
+
+  // Validate a modifier.
+  try {
+    BulkItem.update({}, {
+      $set: {
+        name: 'a'
+      }
+    }, {
+      bulk: true
+    });
+    test.fail('An invalid modifier should not be applied');
+  }
+  catch (err) {
+    test.equal(err.error, 'validation-error',
+      'The validation error should be thrown for an invalid value'
+    );
+    test.equal(err.details[0].name, 'name',
+      'The validation error should point to an invalid field'
+    );
+  }
+  try {
+    BulkItem.update({}, {
+      $push: {
+        tags: 5
+      },
+      $inc: {
+        count: 'a'
+      }
+    }, {
+      bulk: true,
+      stopOnFirstError: false
+    });
+    test.fail('An invalid modifier should not be applied');
+  }
+  catch (err) {
+    test.equal(_.map(err.details, 'name'), ['tags.0', 'count'],
+      'Errors should be collected from all touched fields'
+    );
+  }
+  test.equal(BulkItems.find({
+    name: 'a'
+  }).count(), 0, 'Documents should not be updated with an invalid modifier');
+
+  // Bulk updates are only allowed in the trusted code.
+  try {
+    classUpdate({
+      className: 'BulkItem',
+      selector: {},
+      modifier: {
+        $set: {
+          name: 'xyz'
+        }
+      },
+      options: {
+        bulk: true
+      }
+    });
+    test.fail('The untrusted code should not perform bulk updates');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+});
@@ -0,0 +1,131 @@
+import _ from 'lodash';
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Get modifier - Arrays', function(test) {
+  reset();
+
+  const ArrayModifierElement = Class.create({
+    name: 'ArrayModifierElement',
+    fields: {
+      name: String
+    }
+  });
+
+  const ArrayModifiers = new Mongo.Collection(null);
+  const ArrayModifier = Class.create({
+    name: 'ArrayModifier',
+    collection: ArrayModifiers,
+    fields: {
+      list: {
+        type: [String],
+        default: () => []
+      },
+      elements: {
+        type: [ArrayModifierElement],
+        default: () => []
+      }
+    }
+  });
+
+  // Saves a document with the old value, changes it to the new one and checks
+  // a modifier. Then it saves a document to check if Minimongo produces the
+  // expected result.
+  const check = (field, oldValue, newValue, expected, message) => {
+    const id = ArrayModifier.insert({
+      [field]: oldValue
+    });
+    const doc = ArrayModifier.findOne(id);
+    doc[field] = field === 'elements' ? _.map(newValue, (element) => {
+      return new ArrayModifierElement(element);
+    }) : newValue.slice();
+    test.equal(doc.getModifier(), expected, message);
+    doc.save();
+    const rawDoc = ArrayModifiers.findOne(id);
+    test.equal(rawDoc[field], newValue,
+      message + ' - the saved array should be equal to the new one'
+    );
+  };
+
+  check('list', ['a', 'b'], ['a', 'b', 'c', 'd'], {
+    $push: {
+      list: {
+        $each: ['c', 'd']
+      }
+    }
+  }, 'Appended elements should be pushed');
+  check('list', [], ['a'], {
+    $push: {
+      list: {
+        $each: ['a']
+      }
+    }
+  }, 'Elements should be pushed to an empty array');
+  check('list', ['a', 'b', 'c', 'b'], ['a', 'c'], {
+    $pull: {
+      list: 'b'
+    }
+  }, 'A removed value should be pulled');
+  check('list', ['a', 'b', 'c', 'd'], ['a', 'd'], {
+    $pullAll: {
+      list: ['b', 'c']
+    }
+  }, 'Removed values should be pulled');
+  check('list', ['a', 'b', 'a'], ['a', 'b'], {
+    $pop: {
+      list: 1
+    }
+  }, 'The last element should be popped');
+  check('list', ['a', 'b', 'a'], ['b', 'a'], {
+    $pop: {
+      list: -1
+    }
+  }, 'The first element should be popped');
+  check('list', ['a', 'b', 'c'], ['a', 'x', 'c'], {
+    $set: {
+      'list.1': 'x'
+    }
+  }, 'Changed elements should be set by index');
+  check('list', ['a', 'b', 'c'], ['c', 'b', 'a'], {
+    $set: {
+      list: ['c', 'b', 'a']
+    }
+  }, 'Reordered array should be overridden');
+  check('list', ['a', 'b', 'c'], ['x', 'b'], {
+    $set: {
+      list: ['x', 'b']
+    }
+  }, 'Array with removed and changed elements should be overridden');
+  check('list', ['a', 'b'], ['x', 'b', 'c'], {
+    $set: {
+      list: ['x', 'b', 'c']
+    }
+  }, 'Array with appended and changed elements should be overridden');
+
+  // Nested documents.
+  check('elements', [{
+    name: 'a'
+  }, {
+    name: 'b'
+  }], [{
+    name: 'a'
+  }], {
+    $pullAll: {
+      elements: [{
+        name: 'b'
+      }]
+    }
+  }, 'Removed nested documents should be pulled');
+  check('elements', [{
+    name: 'a'
+  }, {
+    name: 'b'
+  }], [{
+    name: 'a'
+  }, {
+    name: 'c'
+  }], {
+    $set: {
+      'elements.1.name': 'c'
+    }
+  }, 'Changed nested documents should be diffed');
+});
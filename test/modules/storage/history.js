@@ -0,0 +1,85 @@
+import _ from 'lodash';
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - History', function(test) {
+  reset();
+
+  const HistoryPosts = new Mongo.Collection(null);
+  const HistoryPostsHistory = new Mongo.Collection(null);
+  const HistoryPost = Class.create({
+    name: 'HistoryPost',
+    collection: HistoryPosts,
+    history: HistoryPostsHistory,
+    fields: {
+      title: String,
+      tags: {
+        type: [String],
+        default() {
+          return [];
+        }
+      }
+    }
+  });
+
+  const post = new HistoryPost({
+    title: 'Title'
+  });
+  post.save();
+  post.title = 'Changed';
+  post.tags.push('tag');
+  post.save();
+
+  const history = post.getHistory();
+  test.equal(history.length, 2,
+    'History should contain the insert and update entries'
+  );
+  const insertEntry = _.find(history, {
+    operation: 'insert'
+  });
+  const updateEntry = _.find(history, {
+    operation: 'update'
+  });
+  test.equal(insertEntry.className, 'HistoryPost',
+    'The class name should be stored'
+  );
+  test.equal(insertEntry.docId, post._id,
+    'The document id should be stored'
+  );
+  test.equal(updateEntry.modifier, {
+    $set: {
+      title: 'Changed'
+    },
+    $push: {
+      tags: {
+        $each: ['tag']
+      }
+    }
+  }, 'The modifier should be stored');
+  test.equal(updateEntry.modified.sort(), ['tags', 'tags.0', 'title'],
+    'The modified fields should be stored'
+  );
+  test.isNull(updateEntry.userId,
+    'The user id should be empty outside of a method'
+  );
+  test.instanceOf(updateEntry.createdAt, Date,
+    'The entry date should be stored'
+  );
+
+  // Child classes get the history event handlers of the parent class.
+  const HistoryArticle = HistoryPost.inherit({
+    name: 'HistoryArticle'
+  });
+  const article = new HistoryArticle({
+    title: 'Article'
+  });
+  article.save();
+  test.equal(HistoryPostsHistory.find({
+    docId: article._id
+  }).count(), 1, 'Child classes should store a single entry for each change');
+
+  post.remove();
+  test.equal(HistoryPostsHistory.find({
+    docId: post._id,
+    operation: 'remove'
+  }).count(), 1, 'The remove entry should be stored');
+});
@@ -0,0 +1,196 @@
+import _ from 'lodash';
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Include', function(test) {
+  const IncludeAuthors = new Mongo.Collection(null);
+  const IncludePosts = new Mongo.Collection(null);
+
+  const IncludeAuthor = Class.create({
+    name: 'IncludeAuthor',
+    collection: IncludeAuthors,
+    fields: {
+      name: String
+    }
+  });
+
+  const IncludePost = Class.create({
+    name: 'IncludePost',
+    collection: IncludePosts,
+    fields: {
+      title: String,
+      authorId: String,
+      reviewersIds: {
+        type: [String],
+        optional: true
+      }
+    }
+  });
+
+  const authorId = IncludeAuthor.insert({
+    name: 'Author'
+  });
+  const reviewerId = IncludeAuthor.insert({
+    name: 'Reviewer'
+  });
+  IncludePost.insert({
+    title: 'First',
+    authorId,
+    reviewersIds: [reviewerId]
+  });
+  IncludePost.insert({
+    title: 'Second',
+    authorId
+  });
+
+  const posts = IncludePost.find({}, {
+    sort: {
+      title: 1
+    },
+    include: {
+      author: {
+        field: 'authorId',
+        class: IncludeAuthor
+      },
+      reviewers: {
+        field: 'reviewersIds',
+        class: 'IncludeAuthor'
+      }
+    }
+  }).fetch();
+
+  test.instanceOf(posts[0].author, IncludeAuthor,
+    'The referenced document should be loaded'
+  );
+  test.equal(posts[0].author._id, authorId,
+    'Wrong referenced document loaded'
+  );
+  test.equal(posts[0].reviewers.length, 1,
+    'The list of referenced documents should be loaded'
+  );
+  test.equal(posts[1].author._id, authorId,
+    'Wrong referenced document loaded'
+  );
+  test.isFalse(_.has(posts[0].raw(), 'author'),
+    'Loaded documents should not be a part of the document values'
+  );
+
+  // Count queries executed on both collections.
+  let queries = 0;
+  const countQueries = function(Collection) {
+    const find = Collection.find;
+    Collection.find = function(...args) {
+      queries++;
+      return find.apply(this, args);
+    };
+    return () => {
+      Collection.find = find;
+    };
+  };
+  const restoreAuthors = countQueries(IncludeAuthors);
+  const restorePosts = countQueries(IncludePosts);
+  const authorsNames = [];
+  IncludePost.find({}, {
+    include: {
+      author: {
+        field: 'authorId',
+        class: IncludeAuthor
+      }
+    }
+  }).forEach((includedPost) => {
+    authorsNames.push(includedPost.author.name);
+  });
+  restoreAuthors();
+  restorePosts();
+  test.equal(authorsNames, ['Author', 'Author'],
+    'The referenced documents should be loaded in the "forEach" method'
+  );
+  test.equal(queries, 2,
+    'Referenced documents of all fetched documents should be loaded by ' +
+    'a single query'
+  );
+
+  const post = IncludePost.findOne({
+    title: 'Second'
+  }, {
+    include: {
+      author: {
+        field: 'authorId',
+        class: IncludeAuthor
+      }
+    }
+  });
+  test.equal(post.author._id, authorId,
+    'The referenced document should be loaded by the "findOne" method'
+  );
+});
+
+Tinytest.addAsync('Modules - Storage - Include observed', function(test, onComplete) {
+  const ObservedAuthors = new Mongo.Collection(null);
+  const ObservedPosts = new Mongo.Collection(null);
+
+  const ObservedAuthor = Class.create({
+    name: 'ObservedAuthor',
+    collection: ObservedAuthors,
+    fields: {
+      name: String
+    }
+  });
+
+  const ObservedPost = Class.create({
+    name: 'ObservedPost',
+    collection: ObservedPosts,
+    fields: {
+      title: String,
+      authorId: String
+    }
+  });
+
+  const authorId = ObservedAuthor.insert({
+    name: 'Author'
+  });
+  const postId = ObservedPost.insert({
+    title: 'First',
+    authorId
+  });
+
+  let addedPost;
+  let changedPost;
+  const handle = ObservedPost.find({}, {
+    include: {
+      author: {
+        field: 'authorId',
+        class: ObservedAuthor
+      }
+    }
+  }).observe({
+    added(post) {
+      addedPost = post;
+    },
+    changed(post) {
+      changedPost = post;
+    }
+  });
+
+  test.equal(addedPost.author.name, 'Author',
+    'The referenced document should be loaded for observers'
+  );
+
+  Meteor.defer(() => {
+    ObservedAuthors.update(authorId, {
+      $set: {
+        name: 'Renamed'
+      }
+    });
+    ObservedPosts.update(postId, {
+      $set: {
+        title: 'Second'
+      }
+    });
+    handle.stop();
+
+    test.equal(changedPost && changedPost.author.name, 'Renamed',
+      'Observers should not get outdated referenced documents'
+    );
+    onComplete();
+  });
+});
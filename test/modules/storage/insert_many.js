@@ -0,0 +1,245 @@
+import { Astro, Class, Module } from 'meteor/jagi:astronomy';
+import _ from 'lodash';
+
+Tinytest.add('Modules - Storage - Insert many', function(test) {
+  reset();
+
+  const events = [];
+  const InsertManyItems = new Mongo.Collection(null);
+  const InsertManyItem = Class.create({
+    name: 'InsertManyItem',
+    collection: InsertManyItems,
+    fields: {
+      name: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 3
+        }]
+      },
+      count: {
+        type: Number,
+        default: 0
+      }
+    },
+    events: {
+      beforeInsert(e) {
+        events.push('beforeInsert:' + e.currentTarget.name);
+      },
+      afterInsert(e) {
+        events.push('afterInsert:' + e.currentTarget.name);
+      }
+    }
+  });
+
+  const ids = InsertManyItem.insertMany([{
+    name: 'abc'
+  }, {
+    name: 'def',
+    count: 5
+  }]);
+  test.length(ids, 2,
+    'The "insertMany" method should return ids of all inserted documents'
+  );
+  test.equal(InsertManyItems.find().count(), 2,
+    'All documents should be inserted'
+  );
+  test.equal(InsertManyItem.findOne(ids[1]).count, 5,
+    'Documents should be inserted with their values'
+  );
+  test.equal(InsertManyItem.findOne(ids[0]).count, 0,
+    'Documents should be inserted with default values'
+  );
+  test.equal(events, [
+    'beforeInsert:abc', 'beforeInsert:def',
+    'afterInsert:abc', 'afterInsert:def'
+  ], 'All before events should be triggered before the after events');
+
+  // Collect errors from all documents.
+  try {
+    InsertManyItem.insertMany([{
+      name: 'ghi'
+    }, {
+      name: 'a'
+    }, {
+      name: 'b'
+    }], {
+      stopOnFirstError: false
+    });
+    test.fail('Invalid documents should not be inserted');
+  }
+  catch (err) {
+    test.equal(err.error, 'validation-error',
+      'The validation error should be thrown'
+    );
+    test.equal(_.map(err.details, 'index'), [1, 2],
+      'Errors should be collected from all documents with their indexes'
+    );
+    test.equal(_.map(err.details, 'name'), ['name', 'name'],
+      'Errors should contain names of invalid fields'
+    );
+  }
+  test.equal(InsertManyItems.find().count(), 2,
+    'No document should be inserted when any of them is invalid'
+  );
+
+  // Stop on the first error.
+  try {
+    InsertManyItem.insertMany([{
+      name: 'a'
+    }, {
+      name: 'b'
+    }]);
+    test.fail('Invalid documents should not be inserted');
+  }
+  catch (err) {
+    test.equal(_.map(err.details, 'index'), [0],
+      'Only the first error should be thrown by default'
+    );
+  }
+
+  // Callback.
+  InsertManyItem.insertMany([{
+    name: 'jkl'
+  }], function(err, result) {
+    test.isUndefined(err, 'No error should be passed to the callback');
+    test.length(result, 1, 'Ids should be passed to the callback');
+  });
+  test.equal(InsertManyItems.find().count(), 3,
+    'A document should be inserted when using the callback'
+  );
+
+  // Report documents that could not be written.
+  events.length = 0;
+  const existingId = ids[0];
+  try {
+    InsertManyItem.insertMany([{
+      name: 'mno'
+    }, {
+      _id: existingId,
+      name: 'pqr'
+    }, {
+      name: 'stu'
+    }], {
+      stopOnFirstError: false
+    });
+    test.fail('A document with a duplicated id should not be inserted');
+  }
+  catch (err) {
+    test.equal(err.error, 409, 'The write error should be thrown');
+    test.equal(_.map(err.details.failed, 'index'), [1],
+      'Documents that failed should be reported with their indexes'
+    );
+    test.length(err.details.insertedIds, 2,
+      'Ids of inserted documents should be reported'
+    );
+  }
+  test.equal(InsertManyItems.find().count(), 5,
+    'Documents other than failed ones should be inserted'
+  );
+  test.equal(_.filter(events, (event) => _.startsWith(event, 'afterInsert')), [
+    'afterInsert:mno', 'afterInsert:stu'
+  ], 'The after events should be triggered only for inserted documents');
+});
+
+Tinytest.add('Modules - Storage - Insert many limit', function(test) {
+  reset();
+
+  const {
+    classInsertMany
+  } = Module.get('storage').utils;
+
+  const LimitedItems = new Mongo.Collection(null);
+  const LimitedItem = Class.create({
+    name: 'LimitedItem',
+    collection: LimitedItems,
+    secured: false,
+    fields: {
+      name: String
+    }
+  });
+
+  const Config = Astro.Config;
+  const limit = Config.insertManyLimit;
+  Config.insertManyLimit = 1;
+  try {
+    classInsertMany({
+      className: 'LimitedItem',
+      plainDocs: [{
+        name: 'abc'
+      }, {
+        name: 'def'
+      }],
+      trusted: false
+    });
+    test.fail('Untrusted code should not insert more documents than allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 403, 'The error should have the 403 code');
+  }
+  finally {
+    Config.insertManyLimit = limit;
+  }
+  test.equal(LimitedItems.find().count(), 0,
+    'No document should be inserted'
+  );
+});
+
+if (Meteor.isServer) {
+  Tinytest.add('Modules - Storage - Insert many bulk write', function(test) {
+    reset();
+
+    const BulkItems = new Mongo.Collection('bulk_items');
+    BulkItems.remove({});
+    const BulkItem = Class.create({
+      name: 'BulkItem',
+      collection: BulkItems,
+      fields: {
+        name: String,
+        refId: {
+          type: Mongo.ObjectID,
+          optional: true
+        }
+      }
+    });
+
+    const refId = new Mongo.ObjectID();
+    const ids = BulkItem.insertMany([{
+      name: 'abc',
+      refId
+    }, {
+      name: 'def'
+    }]);
+    test.equal(BulkItems.find().count(), 2,
+      'All documents should be inserted'
+    );
+    test.isTrue(EJSON.equals(BulkItem.findOne(ids[0]).refId, refId),
+      'Values should be stored as the Mongo types'
+    );
+
+    try {
+      BulkItem.insertMany([{
+        name: 'ghi'
+      }, {
+        _id: ids[0],
+        name: 'jkl'
+      }, {
+        name: 'mno'
+      }], {
+        stopOnFirstError: false
+      });
+      test.fail('A document with a duplicated id should not be inserted');
+    }
+    catch (err) {
+      test.equal(_.map(err.details.failed, 'index'), [1],
+        'Write errors should be reported with indexes of documents'
+      );
+      test.length(err.details.insertedIds, 2,
+        'Ids of inserted documents should be reported'
+      );
+    }
+    test.equal(BulkItems.find().count(), 4,
+      'Documents other than failed ones should be inserted'
+    );
+  });
+}
@@ -0,0 +1,91 @@
+import _ from 'lodash';
+import { Class, Module } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Named methods', function(test) {
+  reset();
+
+  const {
+    getMeteorMethodName,
+    hasMeteorMethod
+  } = Module.get('storage').utils;
+
+  const NamedMethodsItems = new Mongo.Collection('named_methods_items');
+  const NamedMethodsItem = Class.create({
+    name: 'NamedMethodsItem',
+    collection: NamedMethodsItems,
+    namedMethods: true,
+    fields: {
+      name: String
+    }
+  });
+  const SharedMethodsItem = Class.create({
+    name: 'SharedMethodsItem',
+    collection: NamedMethodsItems,
+    fields: {
+      name: String
+    }
+  });
+
+  const connection = Meteor.connection || Meteor.server;
+  _.each(['insert', 'update', 'upsert', 'remove', 'validate'], (operation) => {
+    test.equal(
+      getMeteorMethodName(NamedMethodsItem, operation),
+      `/Astronomy/NamedMethodsItem/${operation}`,
+      `The "${operation}" operation should use the per class method`
+    );
+    test.equal(
+      getMeteorMethodName(SharedMethodsItem, operation),
+      `/Astronomy/${operation}`,
+      `The "${operation}" operation should use the shared method`
+    );
+    test.isTrue(hasMeteorMethod(connection, `/Astronomy/${operation}`),
+      `The shared "${operation}" method should be registered`
+    );
+    test.isTrue(
+      hasMeteorMethod(connection, `/Astronomy/NamedMethodsItem/${operation}`),
+      `The per class "${operation}" method should be registered`
+    );
+    test.isFalse(
+      hasMeteorMethod(connection, `/Astronomy/SharedMethodsItem/${operation}`),
+      `The per class "${operation}" method should not be registered`
+    );
+  });
+
+  // Turn on per class methods by extending a class.
+  const ExtendedMethodsItem = Class.create({
+    name: 'ExtendedMethodsItem',
+    collection: NamedMethodsItems,
+    fields: {
+      name: String
+    }
+  });
+  ExtendedMethodsItem.extend({
+    namedMethods: true
+  });
+  _.each(['insert', 'update', 'upsert', 'remove', 'validate'], (operation) => {
+    test.isTrue(
+      hasMeteorMethod(
+        connection, `/Astronomy/ExtendedMethodsItem/${operation}`
+      ),
+      `The per class "${operation}" method should be registered when ` +
+      'extending a class'
+    );
+  });
+  const extendedItem = new ExtendedMethodsItem({
+    name: 'def'
+  });
+  const extendedId = extendedItem.save();
+  test.equal(NamedMethodsItems.findOne(extendedId).name, 'def',
+    'The document should be saved using the per class method of the ' +
+    'extended class'
+  );
+
+  const item = new NamedMethodsItem({
+    name: 'abc'
+  });
+  const id = item.save();
+  test.equal(NamedMethodsItems.findOne(id), {
+    _id: id,
+    name: 'abc'
+  }, 'The document should be saved using the per class method');
+});
@@ -0,0 +1,88 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Revisions', function(test) {
+  reset();
+
+  const RevisionPosts = new Mongo.Collection(null);
+  const RevisionPost = Class.create({
+    name: 'RevisionPost',
+    collection: RevisionPosts,
+    revisions: true,
+    fields: {
+      title: String,
+      body: {
+        type: String,
+        optional: true
+      }
+    }
+  });
+  const Revisions = RevisionPost.schema.revisions.collection;
+
+  const post = new RevisionPost({
+    title: 'First'
+  });
+  post.save();
+  post.title = 'Second';
+  post.body = 'Body';
+  post.save();
+  post.title = 'Third';
+  post.save();
+
+  test.equal(Revisions.find({
+    docId: post._id
+  }).count(), 3, 'Each save should create a revision');
+
+  const firstRevision = Revisions.findOne({
+    docId: post._id,
+    number: 1
+  });
+  post.revertTo(firstRevision._id);
+  test.equal(post.title, 'First',
+    'The document should be reverted to the first revision'
+  );
+  test.isUndefined(post.body,
+    'Fields set after the first revision should be cleared'
+  );
+  test.equal(RevisionPosts.findOne(post._id), {
+    _id: post._id,
+    title: 'First'
+  }, 'The reverted document should be saved');
+  test.equal(Revisions.find({
+    docId: post._id
+  }).count(), 4, 'Reverting should create a revision');
+  test.equal(Revisions.find({
+    docId: post._id
+  }, {
+    sort: {
+      number: 1
+    }
+  }).map((revision) => revision.number), [1, 2, 3, 4],
+    'Revisions should be numbered one after another'
+  );
+
+  const currentRevision = RevisionPost.getRevision(post._id);
+  test.instanceOf(currentRevision, RevisionPost,
+    'The revision should be an instance of the class'
+  );
+  test.equal(currentRevision.title, 'First',
+    'The current revision should be reconstructed'
+  );
+  test.isUndefined(RevisionPost.getRevision(post._id, new Date(0)),
+    'There should be no revision before the document was inserted'
+  );
+
+  // Saving does not fail when a revision can not be written.
+  const insertRevision = Revisions.insert;
+  Revisions.insert = function() {
+    throw new Error('Write failed');
+  };
+  post.title = 'Unrevised';
+  try {
+    test.equal(post.save(), 1,
+      'The document should be saved even if a revision is not written'
+    );
+  }
+  finally {
+    Revisions.insert = insertRevision;
+  }
+});
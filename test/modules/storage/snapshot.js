@@ -0,0 +1,104 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Snapshot', function(test) {
+  reset();
+
+  const SnapshotItems = new Mongo.Collection(null);
+  const SnapshotItem = Class.create({
+    name: 'SnapshotItem',
+    collection: SnapshotItems,
+    fields: {
+      name: {
+        type: String
+      },
+      tags: {
+        type: [String],
+        default: () => []
+      }
+    }
+  });
+
+  // Snapshot after insert.
+  const inserted = new SnapshotItem({
+    name: 'abc'
+  });
+  inserted.save();
+  test.isFalse(inserted.isModified(),
+    'An inserted document should not be modified'
+  );
+  test.equal(inserted.getSnapshot().name, 'abc',
+    'The snapshot should be taken after insert'
+  );
+
+  // Snapshots of fetched documents can be turned off.
+  test.isUndefined(SnapshotItem.findOne(inserted._id, {
+    snapshot: false
+  }).getSnapshot(), 'A snapshot should not be taken when turned off');
+  const doc = SnapshotItem.findOne(inserted._id);
+  doc.tags.push('tag');
+  test.equal(doc.getModified(), ['tags', 'tags.0'],
+    'Modifications of arrays should not change the snapshot'
+  );
+
+  // Changes in the collection do not affect the baseline.
+  SnapshotItems.update(doc._id, {
+    $set: {
+      name: 'def'
+    }
+  });
+  test.equal(doc.getModified(), ['tags', 'tags.0'],
+    'The snapshot should be used as a baseline'
+  );
+  test.equal(doc.getModified({
+    snapshot: false
+  }), ['name', 'tags', 'tags.0'],
+    'A document should be compared with the database when requested'
+  );
+
+  // Documents not present in the collection, e.g. when the client is not
+  // subscribed to them anymore.
+  SnapshotItems.remove(doc._id);
+  test.isTrue(doc.isModified('tags'),
+    'Modifications should be detected without fetching a document'
+  );
+  test.throws(function() {
+    doc.isModified('tags', {
+      snapshot: false
+    });
+  });
+  test.equal(doc.getModifier(), {
+    $push: {
+      tags: {
+        $each: ['tag']
+      }
+    }
+  }, 'The modifier should be created without fetching a document');
+  test.equal(doc.save(), 0,
+    'A document not present in the collection should be saved without errors'
+  );
+
+  // Snapshot after update.
+  const updated = new SnapshotItem({
+    name: 'abc'
+  });
+  updated.save();
+  updated.name = 'ghi';
+  updated.save();
+  test.isFalse(updated.isModified(),
+    'An updated document should not be modified'
+  );
+  test.equal(updated.getSnapshot().name, 'ghi',
+    'The snapshot should be updated after save'
+  );
+
+  // Reset the snapshot.
+  updated.name = 'jkl';
+  test.isTrue(updated.isModified('name'), 'A document should be modified');
+  updated.resetSnapshot();
+  test.isFalse(updated.isModified(),
+    'A document should not be modified after resetting the snapshot'
+  );
+  test.equal(updated.getModifier(), {},
+    'The modifier should be empty after resetting the snapshot'
+  );
+});
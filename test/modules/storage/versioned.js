@@ -0,0 +1,58 @@
+import { Class } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Versioned', function(test) {
+  reset();
+
+  const VersionedPosts = new Mongo.Collection(null);
+  const VersionedPost = Class.create({
+    name: 'VersionedPost',
+    collection: VersionedPosts,
+    versioned: true,
+    fields: {
+      title: String
+    }
+  });
+
+  const post = new VersionedPost({
+    title: 'Title'
+  });
+  const id = post.save();
+  test.equal(VersionedPosts.findOne(id).version, 0,
+    'The version of the inserted document should be 0'
+  );
+
+  const first = VersionedPost.findOne(id);
+  const second = VersionedPost.findOne(id);
+
+  first.title = 'First';
+  test.equal(first.save(), 1, 'The document should be updated');
+  test.equal(first.version, 1,
+    'The version of the document should be increased'
+  );
+  test.equal(VersionedPosts.findOne(id).version, 1,
+    'The version of the stored document should be increased'
+  );
+
+  second.title = 'Second';
+  try {
+    second.save();
+    test.fail('Saving the outdated document should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 'version-conflict',
+      'The version conflict error should be thrown'
+    );
+  }
+  test.equal(VersionedPosts.findOne(id).title, 'First',
+    'The outdated document should not overwrite changes'
+  );
+
+  second.reload();
+  second.title = 'Second';
+  test.equal(second.save(), 1,
+    'The reloaded document should be updated'
+  );
+  test.equal(VersionedPosts.findOne(id).version, 2,
+    'The version of the stored document should be increased again'
+  );
+});
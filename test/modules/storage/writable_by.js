@@ -0,0 +1,133 @@
+import { Class, Module } from 'meteor/jagi:astronomy';
+
+Tinytest.add('Modules - Storage - Writable by', function(test) {
+  reset();
+
+  const {
+    documentInsert,
+    documentUpdate
+  } = Module.get('storage').utils;
+
+  const WritableByAddress = Class.create({
+    name: 'WritableByAddress',
+    fields: {
+      city: String,
+      verified: {
+        type: Boolean,
+        default: false,
+        writableBy(userId, doc) {
+          return false;
+        }
+      }
+    }
+  });
+
+  const WritableByUsers = new Mongo.Collection(null);
+  const WritableByUser = Class.create({
+    name: 'WritableByUser',
+    collection: WritableByUsers,
+    secured: false,
+    fields: {
+      name: String,
+      role: {
+        type: String,
+        default: 'user',
+        writableBy(userId, doc) {
+          return false;
+        }
+      },
+      address: {
+        type: WritableByAddress,
+        optional: true
+      },
+      locked: {
+        type: Boolean,
+        default: false
+      },
+      notes: {
+        type: String,
+        optional: true,
+        writableBy(userId, doc) {
+          return !doc.locked;
+        }
+      }
+    }
+  });
+
+  // Default values are not treated as written by the client.
+  const user = new WritableByUser({
+    name: 'John'
+  });
+  documentInsert({
+    doc: user,
+    trusted: false
+  });
+  test.equal(WritableByUsers.find().count(), 1,
+    'The document with default values should be inserted'
+  );
+
+  const admin = new WritableByUser({
+    name: 'Jane',
+    role: 'admin'
+  });
+  try {
+    documentInsert({
+      doc: admin,
+      trusted: false
+    });
+    test.fail('Inserting the not writable field should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.error, 403,
+      'The error should have the 403 code'
+    );
+    test.equal(err.details, ['role'],
+      'The error should list not writable fields'
+    );
+  }
+
+  user.role = 'admin';
+  user.address = new WritableByAddress({
+    city: 'London',
+    verified: true
+  });
+  try {
+    documentUpdate({
+      doc: user,
+      trusted: false
+    });
+    test.fail('Updating not writable fields should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.details, ['role', 'address.verified'],
+      'The error should list not writable nested fields'
+    );
+  }
+
+  test.equal(documentUpdate({
+    doc: user,
+    trusted: true
+  }), 1, 'Trusted updates should not be restricted');
+
+  // Policies are checked against the stored document.
+  user.locked = true;
+  documentUpdate({
+    doc: user,
+    trusted: true
+  });
+  const lockedUser = WritableByUser.findOne(user._id);
+  lockedUser.locked = false;
+  lockedUser.notes = 'Notes';
+  try {
+    documentUpdate({
+      doc: lockedUser,
+      trusted: false
+    });
+    test.fail('Unlocking and writing the locked field should not be allowed');
+  }
+  catch (err) {
+    test.equal(err.details, ['notes'],
+      'The policy should be checked against the stored document'
+    );
+  }
+});
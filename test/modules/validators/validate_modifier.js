@@ -0,0 +1,298 @@
+import { Class } from 'meteor/jagi:astronomy';
+import _ from 'lodash';
+
+Tinytest.add('Modules - Validators - Validate modifier', function(test) {
+  reset();
+
+  const ModifierAddress = Class.create({
+    name: 'ModifierAddress',
+    fields: {
+      city: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 2
+        }]
+      },
+      zip: {
+        type: String
+      }
+    }
+  });
+
+  const ModifierPerson = Class.create({
+    name: 'ModifierPerson',
+    fields: {
+      name: {
+        type: String
+      },
+      age: {
+        type: Number,
+        validators: [{
+          type: 'gte',
+          param: 18
+        }]
+      },
+      nick: {
+        type: String,
+        optional: true
+      },
+      code: {
+        type: String,
+        immutable: true
+      },
+      meta: {
+        type: Object,
+        optional: true
+      },
+      address: {
+        type: ModifierAddress
+      },
+      addresses: {
+        type: [ModifierAddress],
+        default: () => []
+      },
+      tags: {
+        type: [String],
+        default: () => []
+      },
+      scores: {
+        type: [Number],
+        default: () => []
+      },
+      updatedAt: {
+        type: Date,
+        optional: true
+      }
+    }
+  });
+
+  const getErrors = (modifier) => {
+    try {
+      ModifierPerson.validateModifier(modifier, {
+        stopOnFirstError: false
+      });
+    }
+    catch (err) {
+      return _.map(err.details, (details) => {
+        return _.pick(details, ['name', 'type']);
+      });
+    }
+    return [];
+  };
+
+  test.isUndefined(ModifierPerson.validateModifier({
+    $set: {
+      name: 'John',
+      age: 20,
+      'address.city': 'NY',
+      'addresses.0.zip': '12345',
+      'addresses.$.city': 'LA',
+      'tags.1': 'tag',
+      'meta.anything.deep': 1
+    },
+    $setOnInsert: {
+      code: 'abc'
+    },
+    $unset: {
+      nick: ''
+    },
+    $inc: {
+      age: 1,
+      'scores.0': 1
+    },
+    $currentDate: {
+      updatedAt: true
+    },
+    $pull: {
+      scores: {
+        $gt: 10
+      }
+    },
+    $pop: {
+      addresses: -1
+    },
+    $push: {
+      tags: {
+        $each: ['a', 'b']
+      },
+      addresses: {
+        city: 'SF',
+        zip: '12345'
+      }
+    }
+  }), 'A valid modifier should pass validation');
+
+  // Types.
+  test.equal(getErrors({
+    $set: {
+      'address.zip': 5,
+      'tags.$': 5,
+      'addresses.1.city': 5
+    }
+  }), [{
+    name: 'address.zip',
+    type: 'string'
+  }, {
+    name: 'tags.$',
+    type: 'string'
+  }, {
+    name: 'addresses.1.city',
+    type: 'string'
+  }], 'Types of values should be checked');
+
+  // Validators.
+  test.equal(getErrors({
+    $set: {
+      age: 10
+    },
+    $push: {
+      addresses: {
+        city: 'A',
+        zip: '12345'
+      }
+    },
+    $unset: {
+      name: ''
+    }
+  }), [{
+    name: 'age',
+    type: 'gte'
+  }, {
+    name: 'addresses.0.city',
+    type: 'minLength'
+  }, {
+    name: 'name',
+    type: 'required'
+  }], 'Validators of fields should be executed');
+
+  // Unknown fields.
+  test.equal(getErrors({
+    $set: {
+      unknown: 1,
+      'address.unknown': 1,
+      'name.deep': 1,
+      'address.0': 1
+    }
+  }), [{
+    name: 'unknown',
+    type: 'unknown'
+  }, {
+    name: 'address.unknown',
+    type: 'unknown'
+  }, {
+    name: 'name.deep',
+    type: 'unknown'
+  }, {
+    name: 'address.0',
+    type: 'unknown'
+  }], 'Unknown fields should be rejected');
+
+  // Immutable fields.
+  test.equal(getErrors({
+    $set: {
+      code: 'abc'
+    }
+  }), [{
+    name: 'code',
+    type: 'immutable'
+  }], 'Immutable fields should be rejected');
+
+  // Numeric operators.
+  test.equal(getErrors({
+    $inc: {
+      name: 1,
+      scores: 1
+    },
+    $mul: {
+      'address.city': 2
+    }
+  }), [{
+    name: 'name',
+    type: 'number'
+  }, {
+    name: 'scores',
+    type: 'number'
+  }, {
+    name: 'address.city',
+    type: 'number'
+  }], 'Only numeric fields should be incremented or multiplied');
+
+  // Current date.
+  test.equal(getErrors({
+    $currentDate: {
+      updatedAt: {
+        $type: 'timestamp'
+      },
+      name: true
+    }
+  }), [{
+    name: 'updatedAt',
+    type: 'currentDate'
+  }, {
+    name: 'name',
+    type: 'date'
+  }], 'Values and fields of the "$currentDate" operator should be checked');
+
+  // Removing elements.
+  test.equal(getErrors({
+    $pull: {
+      name: 'John',
+      tags: 5
+    },
+    $pullAll: {
+      scores: 5
+    },
+    $pop: {
+      tags: 2,
+      age: 1
+    }
+  }), [{
+    name: 'name',
+    type: 'array'
+  }, {
+    name: 'tags.0',
+    type: 'string'
+  }, {
+    name: 'scores',
+    type: 'array'
+  }, {
+    name: 'tags',
+    type: 'pop'
+  }, {
+    name: 'age',
+    type: 'array'
+  }], 'Values and fields of removing operators should be checked');
+
+  // Operators.
+  test.equal(getErrors({
+    name: 'John'
+  }), [{
+    name: 'name',
+    type: 'operator'
+  }], 'Replacement modifiers should be rejected');
+  test.equal(getErrors({
+    $set: {
+      age: 10
+    },
+    $bit: {
+      age: {
+        and: 1
+      }
+    }
+  }), [{
+    name: '$bit',
+    type: 'operator'
+  }], 'Operators should be checked before paths');
+
+  // Callback.
+  ModifierPerson.validateModifier({
+    $set: {
+      age: 10
+    }
+  }, function(err) {
+    test.equal(err.error, 'validation-error',
+      'The validation error should be passed to the callback'
+    );
+  });
+});
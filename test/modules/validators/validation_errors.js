@@ -0,0 +1,199 @@
+import { Class } from 'meteor/jagi:astronomy';
+import _ from 'lodash';
+
+Tinytest.add('Modules - Validators - Validation errors', function(test) {
+  reset();
+
+  const ErrorsAddress = Class.create({
+    name: 'ErrorsAddress',
+    fields: {
+      city: {
+        type: String
+      },
+      zip: {
+        type: String,
+        validators: [{
+          type: 'length',
+          param: 5
+        }]
+      }
+    }
+  });
+
+  const ErrorsPerson = Class.create({
+    name: 'ErrorsPerson',
+    reactive: true,
+    fields: {
+      name: {
+        type: String
+      },
+      age: {
+        type: Number,
+        validators: [{
+          type: 'gte',
+          param: 18
+        }]
+      },
+      address: {
+        type: ErrorsAddress,
+        default: () => ({})
+      }
+    }
+  });
+
+  const doc = new ErrorsPerson({
+    age: 10,
+    address: {
+      city: 'Los Angeles',
+      zip: '123'
+    }
+  });
+  test.isFalse(doc.hasValidationErrors(),
+    'A not validated document should not have errors'
+  );
+
+  let hasErrors;
+  let zipError;
+  const runs = {
+    has: 0,
+    zip: 0
+  };
+  const computations = [
+    Tracker.autorun(() => {
+      hasErrors = doc.hasValidationErrors();
+      runs.has++;
+    }),
+    Tracker.autorun(() => {
+      zipError = doc.getValidationError('address.zip');
+      runs.zip++;
+    })
+  ];
+
+  test.throws(() => {
+    doc.validate({
+      stopOnFirstError: false
+    });
+  });
+  test.equal(
+    _.map(doc.getValidationErrors(), 'name').sort(),
+    ['address.zip', 'age', 'name'],
+    'Validation should store errors of all invalid fields'
+  );
+  test.isTrue(doc.hasValidationErrors('address'),
+    'Errors of nested fields should be errors of a parent field'
+  );
+  test.isFalse(doc.hasValidationErrors('address.city'),
+    'A valid field should not have errors'
+  );
+  test.equal(doc.getValidationError('age').type, 'gte',
+    'An error should have details of a failed validator'
+  );
+  test.isUndefined(doc.getValidationError('address.city'),
+    'A valid field should not have an error'
+  );
+
+  Tracker.flush();
+  test.isTrue(hasErrors, 'Errors should be reactive');
+  test.equal(zipError && zipError.name, 'address.zip',
+    'Errors of nested fields should be reactive'
+  );
+
+  doc.set('address.zip', '12345');
+  test.isUndefined(doc.getValidationError('address.zip'),
+    'Setting a field should clear its errors'
+  );
+  test.isNotUndefined(doc.getValidationError('age'),
+    'Setting a field should not clear errors of other fields'
+  );
+  Tracker.flush();
+  test.isUndefined(zipError,
+    'Clearing errors should rerun depending computations'
+  );
+  test.equal(runs.zip, 3,
+    'Only computations depending on cleared errors should rerun'
+  );
+
+  doc.set('name', 'John');
+  test.throws(() => {
+    doc.validate({
+      fields: ['name', 'age']
+    });
+  });
+  test.equal(_.map(doc.getValidationErrors(), 'name'), ['age'],
+    'Validation should replace errors of validated fields'
+  );
+
+  doc.set('age', 20);
+  doc.validate();
+  test.equal(doc.getValidationErrors(), [],
+    'Successful validation should clear errors'
+  );
+  Tracker.flush();
+  test.isFalse(hasErrors, 'Clearing all errors should be reactive');
+
+  computations.forEach((computation) => computation.stop());
+
+  // Undoing a change clears errors of a field.
+  doc.set('age', 10);
+  test.throws(() => {
+    doc.validate();
+  });
+  doc.undo();
+  test.isFalse(doc.hasValidationErrors('age'),
+    'Undoing a change of a field should clear its errors'
+  );
+});
+
+Tinytest.add('Modules - Validators - Validation errors of saved documents', function(test) {
+  reset();
+
+  // On the client documents of named collections are saved using the Meteor
+  // method, which validates a copy of a document.
+  const RemoteErrorsItems = new Mongo.Collection('remote_errors_items');
+  const RemoteErrorsItem = Class.create({
+    name: 'RemoteErrorsItem',
+    collection: RemoteErrorsItems,
+    fields: {
+      name: {
+        type: String,
+        validators: [{
+          type: 'minLength',
+          param: 3
+        }]
+      }
+    }
+  });
+
+  const doc = new RemoteErrorsItem({
+    name: 'a'
+  });
+  test.throws(() => {
+    doc.save();
+  });
+  test.isTrue(doc.hasValidationErrors('name'),
+    'Errors of a document failing to be inserted should be stored'
+  );
+
+  let callbackError;
+  doc.save((err) => {
+    callbackError = err;
+  });
+  test.isNotUndefined(callbackError, 'The error should be passed to callback');
+  test.isTrue(doc.hasValidationErrors('name'),
+    'Errors should be stored when saving with callback'
+  );
+
+  doc.set('name', 'abc');
+  doc.save();
+  test.isFalse(doc.hasValidationErrors(),
+    'A saved document should not have errors'
+  );
+
+  doc.name = 'b';
+  test.throws(() => {
+    doc.save();
+  });
+  test.isTrue(doc.hasValidationErrors('name'),
+    'Errors of a document failing to be updated should be stored'
+  );
+});
\ No newline at end of file
@@ -1,6 +1,9 @@
 import _ from 'lodash';
 import { Class, Behavior } from 'meteor/jagi:astronomy';
 
+// Behaviors shipped with the package have to survive resetting.
+const builtInBehaviors = _.clone(Behavior.behaviors);
+
 resetDatabase = function() {
 	_.forOwn(Class.classes, function(Class) {
 		let Collection = Class.getCollection();
@@ -44,5 +47,5 @@ reset = function() {
 	resetMethods();
 
 	Class.classes = {};
-	Behavior.behaviors = {};
+	Behavior.behaviors = _.clone(builtInBehaviors);
 };
\ No newline at end of file